@@ -2,7 +2,29 @@
 
 import fs from "fs";
 import { fileURLToPath } from "url";
-import { dirname } from "path";
+import path, { dirname } from "path";
+import { parseArgs } from "util";
+import { DEFAULT_CONFIG, findConfigFile, loadConfig, resolveConfig, validateConfig } from "./lib/config.js";
+import { getModes, groupModeVariables, groupPrimitives, sortModeVariables, sortVariables } from "./lib/grouping.js";
+import { BRAND_REPORT_FORMATS, findBrand, getOverrideTokens, matchBrandMode, splitBrands } from "./lib/brands.js";
+import { AUDIT_FORMATS, auditContrast, formatAuditJSON, formatAuditText } from "./lib/contrast.js";
+import { OKLCH_SUPPORTS, convertColor, convertColors, hasColorFallback, parseColor } from "./lib/color.js";
+import { findConflicts, parseCustomProperties } from "./lib/css-parser.js";
+import { DIFF_FORMATS, diffTokens, formatDiffJSON, formatDiffMarkdown, formatDiffText } from "./lib/diff.js";
+import { generateDocs } from "./lib/docs.js";
+import { generateDTCG } from "./lib/dtcg.js";
+import { ConfigError, FigmaVariablesError, InputError, ValidationError } from "./lib/errors.js";
+import { generateClamp, processFluidTokens } from "./lib/fluid.js";
+import { resolveInputs } from "./lib/inputs.js";
+import { wrapLayer } from "./lib/layers.js";
+import { generateJS } from "./lib/js.js";
+import { generateLess, generateSCSS } from "./lib/preprocessors.js";
+import { generateTailwindPreset, generateTailwindTheme } from "./lib/tailwind.js";
+import { figmaVariablesToCSS } from "./lib/figma-json.js";
+import { generateTypes } from "./lib/typescript.js";
+import { generateTextClasses, processTypography } from "./lib/typography.js";
+import { validateReferences } from "./lib/validate.js";
+import { watchFiles } from "./lib/watch.js";
 
 /**
  * CSS Transformation Tool
@@ -14,17 +36,28 @@ import { dirname } from "path";
  * - Simplifies variable names (removes redundant prefixes)
  * - Converts px values to rem (with exceptions for specific variables)
  * - Creates responsive font-size variables using CSS clamp()
- * - Separates light and dark mode variables
+ * - Combines font tokens into text styles, optionally with utility classes
+ * - Optionally converts colors to hex, rgb(), hsl() or oklch()
+ * - Separates light, dark and any other named mode variables
+ * - Builds one output per brand, or brand blocks, from brand modes
  * - Dynamically detects and groups color palettes
  * - Maintains preferred ordering while supporting new color additions
- * - Wraps output in @layer for better CSS cascade control
+ * - Wraps output in @layer for better CSS cascade control, optionally split per theme
+ * - Reads naming and ordering rules from figma-variables.config.{js,json}
+ * - Writes CSS custom properties, W3C design tokens (DTCG) JSON, a JS theme object,
+ *   a Tailwind theme or SCSS/Less variables
+ * - Accepts Figma Variables REST API JSON (.json) as well as CSS exports
+ * - Optionally generates TypeScript declarations for the token names
+ * - Optionally renders an HTML documentation page of the tokens
+ * - Exposes `transform()` for in-memory use from build tools and scripts
  *
  * Usage:
- *   node transform.js [input] [output]
+ *   node transform.js [input] [output] [--config path]
  *
  * Arguments:
- *   input  - Path to the input CSS file (default: original.css)
+ *   input  - Path to the input CSS or Figma variables JSON file (default: original.css)
  *   output - Path to the output CSS file (default: output.css)
+ *   config - Path to a config file (default: figma-variables.config.* in cwd)
  *
  * Examples:
  *   node transform.js
@@ -32,44 +65,358 @@ import { dirname } from "path";
  *   node transform.js input.css
  */
 
+// Figma exports negative font-size steps without the minus sign (step-1 for -1),
+// so these names repeat by design and are told apart by occurrence (processFluidTokens in lib/fluid.js)
+const FONT_SIZE_STEP_PATTERN = /^font-size-(min|max)-step-(\d+)(-rem)?$/;
+
+// Mode names that are never the end of a longer one; their tokens tell other mode names apart (see detectModes)
+const KNOWN_MODES = ["light", "dark"];
+
+// Output writers by config.format
+const FORMATS = {
+  css: generateOutput,
+  dtcg: generateDTCG,
+  js: generateJS,
+  tailwind: generateTailwindTheme,
+  "tailwind-preset": generateTailwindPreset,
+  scss: generateSCSS,
+  less: generateLess,
+};
+
+/**
+ * Transform Figma-export CSS in memory
+ *
+ * `input` is the exported CSS or a parsed Figma Variables API response, or an
+ * array of them (e.g. one per Figma collection), optionally named as
+ * `{ file, css }`. Inputs are merged in order: the first definition of a
+ * variable wins and conflicting ones are reported with their file (`input <n>`
+ * when unnamed) and line. `options` takes the same keys as the config file.
+ * Returns the generated output (`css`, in the chosen format), the processed
+ * variables (`tokens`) and any `warnings`; with `split`, `css` is the index and
+ * `files` maps file names to their content. With `brands`, `brands` lists every
+ * brand's `tokens` and `overrides`, plus its own `css` (and `files`) when each
+ * brand gets an output of its own, in which case `css` is null. Invalid input
+ * or options throw an InputError or ConfigError; with `strict`, any warning
+ * throws a ValidationError.
+ */
+function transform(input, options = {}) {
+  const config = resolveConfig(options, "options");
+
+  const inputs = Array.isArray(input) ? input : [input];
+  const sources = inputs.map((source, index) => toSource(source, inputs.length > 1 ? `input ${index + 1}` : null));
+  if (sources.length === 0) {
+    throw new InputError("Invalid input: expected at least one CSS string or Figma variables JSON object");
+  }
+
+  const declarations = sources.flatMap(parseSource);
+  const variables = collectVariables(declarations);
+  const tokens = processVariables(variables, declarations, config);
+  const brands = config.brands.length > 0 ? splitBrands(tokens, config) : null;
+
+  let output;
+  if (!brands) {
+    output = generateFormatOutput(tokens, config);
+  } else if (config.brandOutput === "selector") {
+    output = { css: generateBrandOutput(brands, config) };
+  } else {
+    // One complete output per brand
+    for (const brand of brands) Object.assign(brand, generateFormatOutput(brand.tokens, config, brand.brand));
+    output = { css: null };
+  }
+
+  const { css, files } = output;
+
+  const warnings = [
+    ...findConflicts(declarations)
+      .filter(({ name, first, duplicate }) => !isSkipped(name, config) && !isRepeatedStep(name, first, duplicate))
+      .map(({ name, first, duplicate }) => ({
+        code: "DUPLICATE_VARIABLE",
+        message:
+          `--${name} is declared with different values: ${first.value} (${formatLocation(first)}) and ` +
+          `${duplicate.value} (${formatLocation(duplicate)}); using the first`,
+        variable: name,
+        ...(duplicate.file && { file: duplicate.file }),
+        line: duplicate.line,
+      })),
+    ...findUngrouped(brands ? brands.map((brand) => brand.tokens) : [tokens], config).map((name) => ({
+      code: "UNGROUPED_VARIABLE",
+      message: `Variable --${name} does not match any group and was left out`,
+      variable: name,
+    })),
+    ...tokens.warnings,
+    ...(brands ? validateBrands(tokens, brands, config) : validateReferences(tokens, config)),
+  ];
+
+  if (config.strict && warnings.length > 0) {
+    const details = warnings.map((warning) => `\n   - ${warning.message}`).join("");
+    throw new ValidationError(`Strict mode: ${warnings.length} problem(s) found${details}`, warnings);
+  }
+
+  return { css, ...(files && { files }), ...(brands && { brands }), tokens, warnings };
+}
+
+/**
+ * Generate the output of one token set in config.format, split into files with `split`
+ *
+ * `brand` names the split files of a brand, so brands sharing a directory do not overwrite each other.
+ */
+function generateFormatOutput(tokens, config = DEFAULT_CONFIG, brand = null) {
+  return config.split ? generateSplitOutput(tokens, config, brand) : { css: FORMATS[config.format](tokens, config) };
+}
+
+/**
+ * List the primitives of one or more token sets that match no group
+ */
+function findUngrouped(tokenSets, config = DEFAULT_CONFIG) {
+  return [...new Set(tokenSets.flatMap((tokens) => groupPrimitives(tokens.primitives, config).ungrouped))];
+}
+
+/**
+ * Validate the references of every brand's tokens
+ *
+ * Problems shared by several brands (e.g. inherited from the base brand) are
+ * reported once, naming the brands. Brands without any mode are reported too.
+ */
+function validateBrands(tokens, brands, config = DEFAULT_CONFIG) {
+  const modes = Object.keys(getModes(tokens));
+  const diagnostics = config.brands
+    .filter((brand) => !modes.some((mode) => findBrand(mode, config.brands) === brand))
+    .map((brand) => ({
+      code: "UNKNOWN_BRAND",
+      message: `Brand "${brand}" has no -${brand}-mode or -${brand}-<mode>-mode variables`,
+      brand,
+    }));
+
+  const byMessage = new Map();
+  for (const { brand, tokens: brandTokens } of brands) {
+    for (const diagnostic of validateReferences(brandTokens, config)) {
+      if (!byMessage.has(diagnostic.message)) byMessage.set(diagnostic.message, { ...diagnostic, brands: [] });
+      byMessage.get(diagnostic.message).brands.push(brand);
+    }
+  }
+
+  for (const diagnostic of byMessage.values()) {
+    diagnostics.push({ ...diagnostic, message: `${diagnostic.brands.join(", ")}: ${diagnostic.message}` });
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Normalise one input of transform() to { file, css }
+ *
+ * Unnamed inputs get `name` (e.g. "input 2" when merging several), so each input
+ * keeps its own identity in the first-definition-wins merge and in warnings.
+ */
+function toSource(input, name = null) {
+  if (typeof input === "string") {
+    return { file: name, css: input };
+  }
+
+  if (input && typeof input === "object") {
+    if (typeof input.css === "string") {
+      return { file: input.file || name, css: input.css };
+    }
+    return { file: name, css: figmaVariablesToCSS(input) };
+  }
+
+  throw new InputError("Invalid input: expected a CSS string or a Figma variables JSON object");
+}
+
+/**
+ * Parse the declarations of one input, tagged with its file name
+ */
+function parseSource({ file, css }) {
+  if (!file) {
+    return parseCustomProperties(css);
+  }
+
+  try {
+    return parseCustomProperties(css).map((declaration) => ({ ...declaration, file }));
+  } catch (error) {
+    if (error instanceof InputError) {
+      throw new InputError(`${file}: ${error.message}`, { cause: error });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check whether a conflict is a font-size step repeated within one file
+ *
+ * Those are the unsigned negative steps; the same step in another file is a real conflict.
+ */
+function isRepeatedStep(name, first, duplicate) {
+  return FONT_SIZE_STEP_PATTERN.test(name) && first.file === duplicate.file;
+}
+
+/**
+ * Describe where a declaration was found (e.g. "tokens.css:12 in @media (…) > :root")
+ */
+function formatLocation({ file, line, context }) {
+  const position = file ? `${file}:${line}` : `line ${line}`;
+  return context.length > 0 ? `${position} in ${context.join(" > ")}` : position;
+}
+
 /**
  * Transforms the original CSS file into the expected format
+ *
+ * File wrapper around transform(); `inputPath` may be a list of files, merged in
+ * order. Brands written to files of their own get an output path each (see
+ * getBrandPath). Returns the processed variables. Errors end the process unless
+ * `exitOnError` is false (watch mode), in which case they are logged and null
+ * is returned.
  */
-function transformCSS(inputPath = "original.css", outputPath = "output.css") {
+function transformCSS(
+  inputPath = "original.css",
+  outputPath = "output.css",
+  config = DEFAULT_CONFIG,
+  { exitOnError = true } = {},
+) {
   try {
-    // Read input file
-    const originalCSS = fs.readFileSync(inputPath, "utf8");
+    const inputPaths = [inputPath].flat();
+    const sources = inputPaths.map((file) => ({ file, css: readInput(file) }));
+    const { css, files, brands, tokens, warnings } = transform(
+      inputPaths.length === 1 ? sources[0].css : sources,
+      config,
+    );
 
-    // Process CSS
-    const variables = parseVariables(originalCSS);
-    const processed = processVariables(variables, originalCSS);
-    const output = generateOutput(processed);
+    // Write the output file (one per brand), and the split files next to it
+    const outputs = css === null
+      ? brands.map((brand) => ({ ...brand, outputPath: getBrandPath(outputPath, brand.brand) }))
+      : [{ css, files, outputPath }];
 
-    // Write output file
-    fs.writeFileSync(outputPath, output, "utf8");
+    for (const output of outputs) {
+      if (output.outputPath !== outputPath) fs.mkdirSync(dirname(output.outputPath), { recursive: true });
+      fs.writeFileSync(output.outputPath, output.css, "utf8");
+      for (const [file, content] of Object.entries(output.files || {})) {
+        fs.writeFileSync(path.join(dirname(output.outputPath), file), content, "utf8");
+      }
+    }
+
+    // Write TypeScript declarations next to the output (token names of the base brand)
+    const typesPath = config.types && config.types.replace(/(\.d\.ts|\.js)$/, "");
+    if (typesPath) {
+      const { dts, js } = generateTypes(brands ? brands[0].tokens : tokens, config);
+      fs.writeFileSync(`${typesPath}.d.ts`, dts, "utf8");
+      fs.writeFileSync(`${typesPath}.js`, js, "utf8");
+    }
+
+    // Write the token documentation page (base brand), with the tokens as CSS for the previews
+    if (config.docs) {
+      const docsTokens = brands ? brands[0].tokens : tokens;
+      fs.writeFileSync(config.docs, generateDocs(docsTokens, generateOutput(docsTokens, config), config), "utf8");
+    }
+
+    for (const warning of warnings) {
+      console.warn(`⚠️  ${warning.message}`);
+    }
 
     console.log("✅ Transformación completada exitosamente");
-    console.log(`   Input:  ${inputPath}`);
-    console.log(`   Output: ${outputPath}`);
+    console.log(`   Input:  ${inputPaths.join(", ")}`);
+    console.log(`   Output: ${outputs.map((output) => output.outputPath).join(", ")}`);
+    const splitFiles = outputs.flatMap((output) => Object.keys(output.files || {}));
+    if (splitFiles.length > 0) console.log(`   Files:  ${splitFiles.join(", ")}`);
+    if (brands) {
+      for (const { brand, overrides } of brands.slice(1)) {
+        console.log(`   Brand:  ${brand} (${overrides.length} tokens sobrescritos)`);
+      }
+    }
+    if (typesPath) console.log(`   Types:  ${typesPath}.d.ts`);
+    if (config.docs) console.log(`   Docs:   ${config.docs}`);
+
+    return tokens;
   } catch (error) {
     console.error("❌ Error durante la transformación:");
     console.error(`   ${error.message}`);
-    process.exit(1);
+    if (exitOnError) process.exit(1);
+    return null;
+  }
+}
+
+/**
+ * Output path of a brand: `{brand}` in the path is replaced by the brand name,
+ * otherwise the name is added before the extension (`tokens.css` -> `tokens-acme.css`)
+ */
+function getBrandPath(outputPath, brand) {
+  if (outputPath.includes("{brand}")) {
+    return outputPath.replaceAll("{brand}", brand);
+  }
+
+  const { dir, name, ext } = path.parse(outputPath);
+  return path.join(dir, `${name}-${brand}${ext}`);
+}
+
+/**
+ * Log the token changes between two runs
+ */
+function logTokenDiff({ added, removed, renamed, changed }, limit = 10) {
+  if (added.length + removed.length + renamed.length + changed.length === 0) {
+    console.log("   Sin cambios en los tokens");
+    return;
+  }
+
+  console.log(
+    `🔄 Tokens: ${added.length} añadidos, ${removed.length} eliminados, ` +
+      `${renamed.length} renombrados, ${changed.length} modificados`,
+  );
+
+  const lines = [
+    ...added.map(({ token }) => `   + ${token}`),
+    ...removed.map(({ token }) => `   - ${token}`),
+    ...renamed.map(({ token, previousToken }) => `   > ${previousToken} → ${token}`),
+    ...changed.map(({ token, from, to }) => `   ~ ${token}: ${from} → ${to}`),
+  ];
+
+  lines.slice(0, limit).forEach((line) => console.log(line));
+  if (lines.length > limit) {
+    console.log(`   … y ${lines.length - limit} más`);
   }
 }
 
+/**
+ * Read an input file as Figma-export CSS
+ *
+ * `.json` files are Figma Variables REST API responses and are converted to the
+ * CSS the Figma export would produce.
+ */
+function readInput(inputPath) {
+  const content = fs.readFileSync(inputPath, "utf8");
+
+  if (!inputPath.endsWith(".json")) {
+    return content;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new InputError(`Invalid JSON in ${inputPath}: ${error.message}`, { cause: error });
+  }
+
+  return figmaVariablesToCSS(data);
+}
+
 /**
  * Parse CSS variables from content
+ *
+ * When a variable is declared again with a different value the first declaration
+ * wins; transform() reports the conflict as a warning.
  */
 function parseVariables(content) {
+  return collectVariables(parseCustomProperties(content));
+}
+
+/**
+ * Map parsed declarations to name -> value, keeping the first declaration of each name
+ */
+function collectVariables(declarations) {
   const variables = {};
-  const regex = /--([^:]+):\s*([^;]+);/g;
-  let match;
 
-  while ((match = regex.exec(content)) !== null) {
-    const name = match[1].trim();
-    const value = match[2].trim();
-    variables[name] = value;
+  for (const { name, value } of declarations) {
+    if (!(name in variables)) {
+      variables[name] = value;
+    }
   }
 
   return variables;
@@ -77,68 +424,72 @@ function parseVariables(content) {
 
 /**
  * Process variables according to requirements
+ *
+ * `originalCSS` is the exported CSS, or its declarations tagged with their file
+ * when merged from several inputs. Returns `{ primitives, modes, defaultMode,
+ * lightMode, darkMode, warnings }`; `warnings` lists input problems that were
+ * worked around (e.g. unpaired font sizes).
  */
-function processVariables(variables, originalCSS) {
+function processVariables(variables, originalCSS, config = DEFAULT_CONFIG) {
+  const modeNames = detectModes(Object.keys(variables), config);
+  const defaultMode = modeNames.includes(config.defaultMode) ? config.defaultMode : modeNames[0] || config.defaultMode;
+
   const result = {
     primitives: {},
-    lightMode: {},
-    darkMode: {},
+    modes: {},
+    defaultMode,
+    warnings: [],
   };
 
+  // Default mode first, then the others in order of appearance
+  for (const mode of [defaultMode, ...modeNames.filter((m) => m !== defaultMode)]) {
+    result.modes[mode] = {};
+  }
+
+  // Kept for backwards compatibility with the light/dark only structure
+  result.lightMode = result.modes.light || {};
+  result.darkMode = result.modes.dark || {};
+
   // Separate mode variables
   for (const [name, value] of Object.entries(variables)) {
-    if (name.endsWith("-light-mode")) {
-      const baseName = simplifyName(name.replace(/-light-mode$/, ""));
-      const cleanValue = simplifyVariableReferences(value);
-      result.lightMode[baseName] = cleanValue;
-    } else if (name.endsWith("-dark-mode")) {
-      const baseName = simplifyName(name.replace(/-dark-mode$/, ""));
-      const cleanValue = simplifyVariableReferences(value);
-      result.darkMode[baseName] = cleanValue;
+    const split = splitModeName(name, modeNames);
+    if (split) {
+      const baseName = simplifyName(split.baseName, config);
+      const cleanValue = simplifyVariableReferences(value, config);
+      result.modes[split.mode][baseName] = cleanValue;
     }
   }
 
+  // Fluid min/max pairs (font sizes, spacing…) become clamp() tokens
+  const fluid = processFluidTokens(variables, originalCSS, config, result.warnings);
+
   // Process primitives
-  const processed = new Set();
+  const processed = new Set(fluid.consumed);
 
   for (const [name, value] of Object.entries(variables)) {
     // Skip mode variables
-    if (name.endsWith("-light-mode") || name.endsWith("-dark-mode")) continue;
+    if (splitModeName(name, modeNames)) continue;
 
     // Skip variables not in expected output
-    if (
-      name.startsWith("font-size-mid-") ||
-      name.startsWith("font-weight-") ||
-      name.startsWith("type-") ||
-      name.startsWith("viewport-")
-    )
-      continue;
+    if (isSkipped(name, config)) continue;
 
     // Handle -rem suffix
     if (name.endsWith("-rem")) {
       const baseName = name.replace(/-rem$/, "");
 
-      // Exceptions: keep px version for font-size, radii-full, spacing-px
-      if (
-        baseName.startsWith("font-size-") ||
-        baseName === "radii-full" ||
-        baseName === "spacing-px"
-      ) {
-        if (baseName === "radii-full") {
-          // Keep radii-full with px value
-          result.primitives["radii-full"] = variables["radii-full"];
-          processed.add("radii-full");
-        } else if (baseName === "spacing-px") {
-          // Keep spacing-px with px value
-          result.primitives["spacing-px"] = variables["spacing-px"];
-          processed.add("spacing-px");
-        }
+      // Font sizes are handled by processFluidTokens
+      if (baseName.startsWith("font-size-") || processed.has(name)) continue;
+
+      // Exceptions: keep px version (e.g. radii-full, spacing-px)
+      if (config.keepPx.includes(baseName)) {
+        result.primitives[simplifyName(baseName, config)] = variables[baseName];
+        processed.add(baseName);
         continue;
       }
 
       // Use rem value with base name
       let cleanValue = value === "0rem" ? "0" : value;
-      const cleanName = simplifyName(baseName);
+      const cleanName = simplifyName(baseName, config);
 
       // Special case: resolve typography-font to font-family
       if (baseName.startsWith("typography-font-")) {
@@ -156,19 +507,14 @@ function processVariables(variables, originalCSS) {
   // Add variables without -rem suffix
   for (const [name, value] of Object.entries(variables)) {
     if (processed.has(name) || name.endsWith("-rem")) continue;
-    if (name.endsWith("-light-mode") || name.endsWith("-dark-mode")) continue;
-    if (
-      name.startsWith("font-size-mid-") ||
-      name.startsWith("font-weight-") ||
-      name.startsWith("type-") ||
-      name.startsWith("viewport-")
-    )
-      continue;
+    if (splitModeName(name, modeNames)) continue;
+    if (isSkipped(name, config)) continue;
+    if (FONT_SIZE_STEP_PATTERN.test(name)) continue;
 
     const remName = name + "-rem";
     if (!variables[remName]) {
       let cleanValue = value === "0px" ? "0" : value;
-      const cleanName = simplifyName(name);
+      const cleanName = simplifyName(name, config);
 
       // Special case: resolve typography-font references
       if (name.startsWith("font-family-") && cleanValue.startsWith("var(--typography-font-")) {
@@ -180,595 +526,411 @@ function processVariables(variables, originalCSS) {
     }
   }
 
-  // Process font-size with clamp
-  const fontSizes = processFontSizes(variables, originalCSS);
-  Object.assign(result.primitives, fontSizes);
+  Object.assign(result.primitives, fluid.tokens);
 
-  return result;
-}
+  // Numeric font weights and composite text styles
+  Object.assign(result.primitives, processTypography(result.primitives, config, result.warnings));
 
-/**
- * Simplify variable names
- */
-function simplifyName(name) {
-  return name
-    .replace(/^border-border-/, "border-")
-    .replace(/^size-size-/, "size-")
-    .replace(/^surface-surface-/, "surface-")
-    .replace(/^text-text-/, "text-")
-    .replace(/^icon-icon-/, "icon-")
-    .replace(/^outline-outline-/, "outline-")
-    .replace(/^typography-font-/, "font-family-");
+  convertColors(result, config);
+
+  return result;
 }
 
 /**
- * Simplify variable references in values (e.g. var(--surface-surface-xxx) -> var(--surface-xxx))
+ * Detect the mode names used in `<name>-<mode>-mode` variables
+ *
+ * The last segment before `-mode` names the mode; `light` and `dark` are always
+ * complete names. Other modes may contain dashes (e.g. `high-contrast`, `brand-b`):
+ * their names are told apart from the token names by the tokens of the light and
+ * dark modes (see resolveModeSuffix). Modes of the configured brands (`<brand>`,
+ * `<brand>-<theme>`) come first. Set `modes` in the config to skip detection.
  */
-function simplifyVariableReferences(value) {
-  if (!value.includes("var(--")) {
-    return value;
+function detectModes(names, config = DEFAULT_CONFIG) {
+  if (config.modes.length > 0) {
+    return [...config.modes];
   }
 
-  return value.replace(/var\(--([^)]+)\)/g, (match, varName) => {
-    const simplified = simplifyName(varName);
-    return `var(--${simplified})`;
-  });
-}
+  // Brand modes are known from config.brands
+  const brandModes = new Set();
+  const groups = new Map();
+  for (const name of names) {
+    const brandMode = matchBrandMode(name, config.brands);
+    if (brandMode) {
+      brandModes.add(brandMode);
+      continue;
+    }
 
-/**
- * Process font-size variables with clamp
- */
-function processFontSizes(variables, originalCSS) {
-  const minWidth = parseFloat(variables["viewport-min-width"].replace(/"/g, ""));
-  const maxWidth = parseFloat(variables["viewport-max-width"].replace(/"/g, ""));
+    const match = name.match(/^(.+)-([a-z0-9]+)-mode$/);
+    if (!match) continue;
 
-  // Parse CSS line by line to match min with corresponding max
-  const lines = originalCSS.split("\n");
-  const allSteps = [];
+    if (!groups.has(match[2])) groups.set(match[2], []);
+    groups.get(match[2]).push(match[1].split("-"));
+  }
 
-  for (let i = 0; i < lines.length; i++) {
-    const minMatch = lines[i].match(/--font-size-min-step-(\d+)-rem:\s*([\d.]+)rem;/);
+  const tokens = new Set(
+    KNOWN_MODES.flatMap((mode) => groups.get(mode) || []).map((segments) => segments.join("-")),
+  );
+  const modes = [...groups].flatMap(([last, bases]) =>
+    KNOWN_MODES.includes(last) ? [last] : resolveModeSuffix(last, bases, tokens),
+  );
 
-    if (minMatch) {
-      const step = parseInt(minMatch[1]);
-      const minRem = parseFloat(minMatch[2]);
+  return [...brandModes, ...modes];
+}
 
-      // Look for the corresponding max in the next few lines
-      let maxRem = null;
-      for (let j = i + 1; j < i + 5 && j < lines.length; j++) {
-        const maxMatch = lines[j].match(/--font-size-max-step-(\d+)-rem:\s*([\d.]+)rem;/);
-        if (maxMatch && parseInt(maxMatch[1]) === step) {
-          maxRem = parseFloat(maxMatch[2]);
-          break;
-        }
+/**
+ * Resolve the full mode name(s) for variables sharing a mode suffix
+ *
+ * `bases` holds the segments before the suffix. Sibling modes define the same
+ * tokens, so when a variable's name starts with a token of the light or dark
+ * mode (`tokens`, longest first), the rest is its mode name: with the token
+ * `surface-primary-default`, `surface-primary-default-brand-b-mode` and
+ * `surface-primary-default-brand-c-mode` are the modes `brand-b` and `brand-c`.
+ * Without such a token, the suffix alone is the mode name.
+ */
+function resolveModeSuffix(suffix, bases, tokens) {
+  const modes = new Set();
+
+  for (const segments of bases) {
+    for (let length = segments.length; length > 0; length--) {
+      if (tokens.has(segments.slice(0, length).join("-"))) {
+        modes.add([...segments.slice(length), suffix].join("-"));
+        break;
       }
-
-      allSteps.push({
-        originalStep: step,
-        min: minRem,
-        max: maxRem,
-        avgValue: minRem,
-      });
     }
   }
 
-  // Remove exact duplicates
-  const uniqueSteps = [];
-  const seen = new Set();
-
-  for (const step of allSteps) {
-    const key = `${step.min}-${step.max}`;
-    if (!seen.has(key)) {
-      seen.add(key);
-      uniqueSteps.push(step);
-    }
-  }
+  return modes.size > 0 ? [...modes] : [suffix];
+}
 
-  // Sort by value (ascending)
-  uniqueSteps.sort((a, b) => a.avgValue - b.avgValue);
+/**
+ * Split a mode variable name into its base name and mode (null for non-mode variables)
+ */
+function splitModeName(name, modeNames) {
+  let match = null;
 
-  // Find step-0 index
-  let step0Index = -1;
-  for (let i = 0; i < uniqueSteps.length; i++) {
-    if (uniqueSteps[i].originalStep === 0) {
-      step0Index = i;
-      break;
+  for (const mode of modeNames) {
+    const suffix = `-${mode}-mode`;
+    if (name.endsWith(suffix) && (!match || mode.length > match.mode.length)) {
+      match = { baseName: name.slice(0, -suffix.length), mode };
     }
   }
 
-  // Generate output with correct numbering
-  const fontSizes = {};
+  return match;
+}
 
-  for (let i = 0; i < uniqueSteps.length; i++) {
-    const data = uniqueSteps[i];
-    let outputStep;
+/**
+ * Check whether a variable is excluded from the output by a skip prefix
+ */
+function isSkipped(name, config = DEFAULT_CONFIG) {
+  return config.skipPrefixes.some((prefix) => name.startsWith(prefix));
+}
 
-    if (i < step0Index) {
-      // Steps below step-0 are negative
-      outputStep = i - step0Index;
-    } else if (i === step0Index) {
-      // This is step-0
-      outputStep = 0;
-    } else {
-      // Steps above step-0 keep their original step number
-      outputStep = data.originalStep;
+/**
+ * Simplify variable names
+ */
+function simplifyName(name, config = DEFAULT_CONFIG) {
+  for (const [prefix, replacement] of Object.entries(config.renames)) {
+    if (name.startsWith(prefix)) {
+      name = replacement + name.slice(prefix.length);
     }
+  }
 
-    const varName = `font-size-step-${outputStep}`;
+  return name;
+}
 
-    if (data.min && data.max) {
-      fontSizes[varName] = generateClamp(minWidth, maxWidth, data.min, data.max);
-    } else if (data.min) {
-      fontSizes[varName] = `${data.min}rem`;
-    } else if (data.max) {
-      fontSizes[varName] = `${data.max}rem`;
-    }
+/**
+ * Simplify variable references in values (e.g. var(--surface-surface-xxx) -> var(--surface-xxx))
+ */
+function simplifyVariableReferences(value, config = DEFAULT_CONFIG) {
+  if (!value.includes("var(--")) {
+    return value;
   }
 
-  return fontSizes;
+  return value.replace(/var\(--([^)]+)\)/g, (match, varName) => {
+    const simplified = simplifyName(varName, config);
+    return `var(--${simplified})`;
+  });
 }
 
 /**
- * Generate clamp CSS function
+ * Process font-size variables with clamp
+ *
+ * Font-size only variant of processFluidTokens (see lib/fluid.js).
  */
-function generateClamp(minWidthPx, maxWidthPx, minFontSize, maxFontSize) {
-  const pixelsPerRem = 16;
-  const minWidth = minWidthPx / pixelsPerRem;
-  const maxWidth = maxWidthPx / pixelsPerRem;
-  const slope = (maxFontSize - minFontSize) / (maxWidth - minWidth);
-  const yAxisIntersection = -minWidth * slope + minFontSize;
-
-  return `clamp(${minFontSize}rem, ${yAxisIntersection.toFixed(4)}rem + ${(slope * 100).toFixed(4)}vw, ${maxFontSize}rem)`;
+function processFontSizes(variables, originalCSS, config = DEFAULT_CONFIG, warnings = []) {
+  const fontSizes = { ...config, fluidFamilies: ["font-size"], fluidPairs: {} };
+  return processFluidTokens(variables, originalCSS, fontSizes, warnings).tokens;
 }
 
 /**
  * Generate output CSS
  *
- * This function dynamically detects color groups while maintaining a preferred order.
- * Known colors appear first in the defined order, then any new colors are added
- * alphabetically, followed by other primitive groups.
- */
-function generateOutput(processed) {
-  let output = "@layer globals {\n";
-  output += "  :root {\n";
-
-  // Define the order of known groups (colors and other primitives)
-  // These colors will appear in this order if they exist in the CSS
-  // Any new colors not in this list will be added alphabetically after these
-  //
-  // Example: If you add --color-brand-500 to your CSS, it will automatically
-  // be detected and placed alphabetically after 'color-accent' (brand comes after accent)
-  // To control the order of new colors, add them to this array in your preferred position
-  const knownColorOrder = [
-    "color-default",
-    "color-gray",
-    "color-primary",
-    "color-secondary",
-    "color-tertiary",
-    "color-highlight",
-    "color-accent",
-    // Add new color prefixes here if you want to control their order
-    // Example: 'color-brand', 'color-custom', etc.
-  ];
-
-  const otherGroupsOrder = [
-    "container",
-    "header",
-    "font-family",
-    "border",
-    "radii",
-    "spacing",
-    "size",
-    "font-size",
-    "surface",
-    "text",
-    "icon",
-    "outline",
-  ];
+ * Primitives are written in the order produced by groupPrimitives (known colors,
+ * new colors alphabetically, then the other groups), followed by the default mode
+ * and one block per additional mode, all in `config.layer`.
+ */
+function generateOutput(processed, config = DEFAULT_CONFIG) {
+  let output = wrapLayer(formatTokens(processed, config), config.layer);
 
-  // Initialize groups
-  const groups = {};
-  knownColorOrder.forEach((prefix) => (groups[prefix] = []));
-  otherGroupsOrder.forEach((prefix) => (groups[prefix] = []));
-
-  // Detect color groups dynamically
-  const detectedColorGroups = new Set();
-  for (const name of Object.keys(processed.primitives)) {
-    if (name.startsWith("color-")) {
-      const colorMatch = name.match(/^color-([a-z]+)/);
-      if (colorMatch) {
-        detectedColorGroups.add(`color-${colorMatch[1]}`);
-      }
-    }
+  if (config.textClasses) {
+    const textClasses = generateTextClasses(config);
+    if (textClasses) output += `\n${textClasses}`;
   }
 
-  // Add new color groups that aren't in the known list
-  const newColorGroups = [...detectedColorGroups]
-    .filter((g) => !knownColorOrder.includes(g))
-    .sort();
+  return output;
+}
 
-  newColorGroups.forEach((prefix) => (groups[prefix] = []));
+/**
+ * Generate output CSS for several brands
+ *
+ * The base brand is written to `:root` like a single-brand output; every other
+ * brand follows as a `config.brandSelector` block with the tokens it overrides,
+ * its modes combined with the brand selector (`[data-brand="x"][data-theme="dark"]`).
+ */
+function generateBrandOutput(brands, config = DEFAULT_CONFIG) {
+  const [base, ...others] = brands;
+  let body = formatTokens(base.tokens, config);
 
-  // Group primitives
-  for (const [name, value] of Object.entries(processed.primitives)) {
-    let grouped = false;
+  for (const brand of others) {
+    body += formatTokens(getOverrideTokens(brand), config, config.brandSelector.replace("{brand}", brand.brand));
+  }
 
-    // Try to match with color groups first
-    if (name.startsWith("color-")) {
-      const colorMatch = name.match(/^color-([a-z]+)/);
-      if (colorMatch) {
-        const colorPrefix = `color-${colorMatch[1]}`;
-        if (groups[colorPrefix]) {
-          groups[colorPrefix].push([name, value]);
-          grouped = true;
-        }
-      }
-    }
+  let output = wrapLayer(body, config.layer);
 
-    // Try other groups
-    if (!grouped) {
-      for (const prefix of otherGroupsOrder) {
-        if (name.startsWith(prefix)) {
-          groups[prefix].push([name, value]);
-          grouped = true;
-          break;
-        }
-      }
-    }
-
-    if (!grouped) {
-      console.warn(`Variable no agrupada: ${name}`);
-    }
+  if (config.textClasses) {
+    const textClasses = generateTextClasses(config);
+    if (textClasses) output += `\n${textClasses}`;
   }
 
-  // Create final group order: known colors + new colors + other groups
-  const finalGroupOrder = [...knownColorOrder, ...newColorGroups, ...otherGroupsOrder];
-
-  // Sort and output each group (primitives first, then light mode)
-  for (const prefix of finalGroupOrder) {
-    if (groups[prefix] && groups[prefix].length > 0) {
-      groups[prefix].sort((a, b) => sortVariables(a[0], b[0], prefix));
+  return output;
+}
 
-      for (const [name, value] of groups[prefix]) {
-        output += `    --${name}: ${value};\n`;
-      }
-      output += "\n";
-    }
+/**
+ * Format primitives and modes as rule blocks (indented for a layer)
+ *
+ * `scope` is the selector of the primitives and the default mode; modes are
+ * scoped to it as well. Blocks other than `:root` are left out when empty.
+ */
+function formatTokens(processed, config = DEFAULT_CONFIG, scope = ":root") {
+  // Group and sort primitives (colors first, then the other groups from the config)
+  // Ungrouped names are left out (transform() reports them as warnings)
+  const { groups } = groupPrimitives(processed.primitives, config);
+  const { defaultVariables, blocks } = formatModes(processed, config, scope);
+  const primitives = formatPrimitives(groups);
+  let body = "";
+
+  if (scope === ":root" || primitives || defaultVariables) {
+    body += `${scope === ":root" ? "" : "\n"}  ${scope} {\n`;
+    body += primitives;
+    body += defaultVariables;
+    body += "  }\n";
   }
 
-  // Add light mode variables (semantic tokens)
-  if (Object.keys(processed.lightMode).length > 0) {
-    const lightGroups = {
-      surface: [],
-      text: [],
-      icon: [],
-      outline: [],
-    };
-
-    for (const [name, value] of Object.entries(processed.lightMode)) {
-      for (const prefix in lightGroups) {
-        if (name.startsWith(prefix)) {
-          lightGroups[prefix].push([name, value]);
-          break;
-        }
-      }
-    }
+  body += formatColorFallback(groups, config, scope);
 
-    const prefixOrder = ["surface", "text", "icon", "outline"];
-    let isFirst = true;
+  // Add the other modes: dark according to the theme strategy, the rest as selector blocks
+  for (const [, block] of blocks) {
+    body += block;
+  }
 
-    for (const prefix of prefixOrder) {
-      if (lightGroups[prefix].length > 0) {
-        lightGroups[prefix].sort((a, b) => sortModeVariables(a[0], b[0]));
+  return body;
+}
 
-        if (!isFirst) output += "\n";
-        isFirst = false;
+/**
+ * Generate output CSS split into one file per part
+ *
+ * Returns the files (`primitives.css`, then `theme-<mode>.css` for the default
+ * mode and every other mode, each in `config.layer`) and an index (`css`) that
+ * @imports them, followed by the text style classes. Themes can be loaded on
+ * demand by importing their file instead of the index. With a `brand`, the file
+ * names end in the brand name (`primitives-acme.css`, `theme-dark-acme.css`).
+ */
+function generateSplitOutput(processed, config = DEFAULT_CONFIG, brand = null) {
+  const { groups } = groupPrimitives(processed.primitives, config);
+  const { defaultMode, defaultVariables, blocks } = formatModes(processed, config);
+  const suffix = brand ? `-${brand}` : "";
+  const files = {};
+
+  const primitives = formatPrimitives(groups).replace(/\n\n$/, "\n");
+  if (primitives) {
+    const fallback = formatColorFallback(groups, config);
+    files[`primitives${suffix}.css`] = wrapLayer(`  :root {\n${primitives}  }\n${fallback}`, config.layer);
+  }
 
-        for (const [name, value] of lightGroups[prefix]) {
-          output += `    --${name}: ${value};\n`;
-        }
-      }
-    }
+  if (defaultVariables) {
+    files[`theme-${defaultMode}${suffix}.css`] = wrapLayer(`  :root {\n${defaultVariables}  }\n`, config.layer);
   }
 
-  output += "  }\n";
+  for (const [mode, block] of blocks) {
+    files[`theme-${mode}${suffix}.css`] = wrapLayer(block.replace(/^\n/, ""), config.layer);
+  }
 
-  // Add dark mode if exists
-  if (Object.keys(processed.darkMode).length > 0) {
-    output += "\n  @media (prefers-color-scheme: dark) {\n";
-    output += "    :root {\n";
-
-    // Group mode variables by prefix
-    const modeGroups = {
-      surface: [],
-      text: [],
-      icon: [],
-      outline: [],
-    };
-
-    for (const [name, value] of Object.entries(processed.darkMode)) {
-      for (const prefix in modeGroups) {
-        if (name.startsWith(prefix)) {
-          modeGroups[prefix].push([name, value]);
-          break;
-        }
-      }
-    }
+  let css = Object.keys(files)
+    .map((file) => `@import url("${file}");\n`)
+    .join("");
 
-    // Output in the same order as lightMode, grouped by type
-    const prefixOrder = ["surface", "text", "icon", "outline"];
-    let isFirst = true;
+  if (config.textClasses) {
+    const textClasses = generateTextClasses(config);
+    if (textClasses) css += `\n${textClasses}`;
+  }
 
-    for (const prefix of prefixOrder) {
-      if (modeGroups[prefix].length > 0) {
-        // Sort by semantic order, not alphabetically
-        modeGroups[prefix].sort((a, b) => sortModeVariables(a[0], b[0]));
+  return { css, files };
+}
 
-        if (!isFirst) output += "\n";
-        isFirst = false;
+/**
+ * Format the grouped primitives, one blank line after each group
+ */
+function formatPrimitives(groups) {
+  let output = "";
 
-        for (const [name, value] of modeGroups[prefix]) {
-          output += `      --${name}: ${value};\n`;
-        }
-      }
+  for (const [, entries] of groups) {
+    for (const [name, value] of entries) {
+      output += `    --${name}: ${value};\n`;
     }
-
-    output += "\n    }\n";
-    output += "  }\n";
+    output += "\n";
   }
 
-  output += "}\n";
-
   return output;
 }
 
 /**
- * Sort variables intelligently
+ * Format the oklch() overrides of the hex primitives for browsers that support them
  */
-function sortVariables(a, b, prefix) {
-  // Special handling for radii
-  if (prefix === "radii") {
-    const radiiOrder = ["xs", "sm", "md", "lg", "xl", "2xl", "3xl", "4xl", "full"];
-    const aSize = a.replace("radii-", "");
-    const bSize = b.replace("radii-", "");
-    const aIndex = radiiOrder.indexOf(aSize);
-    const bIndex = radiiOrder.indexOf(bSize);
-    if (aIndex !== -1 && bIndex !== -1) {
-      return aIndex - bIndex;
-    }
-  }
+function formatColorFallback(groups, config = DEFAULT_CONFIG, scope = ":root") {
+  if (!hasColorFallback(config)) return "";
 
-  // Special handling for border
-  if (prefix === "border") {
-    const borderOrder = ["xs", "sm", "md", "lg", "xl"];
-    const aSize = a.replace("border-", "");
-    const bSize = b.replace("border-", "");
-    const aIndex = borderOrder.indexOf(aSize);
-    const bIndex = borderOrder.indexOf(bSize);
-    if (aIndex !== -1 && bIndex !== -1) {
-      return aIndex - bIndex;
-    }
+  const colors = groups.flatMap(([, entries]) => entries).filter(([, value]) => parseColor(value));
+  if (colors.length === 0) return "";
+
+  let output = `\n  @supports (${OKLCH_SUPPORTS}) {\n    ${scope} {\n`;
+  for (const [name, value] of colors) {
+    output += `      --${name}: ${convertColor(value, "oklch")};\n`;
   }
+  output += "    }\n  }\n";
+
+  return output;
+}
 
-  // Special handling for font-size steps
-  if (prefix === "font-size" && a.includes("step-") && b.includes("step-")) {
-    const aStep = parseInt(a.match(/step-(-?\d+)/)[1]);
-    const bStep = parseInt(b.match(/step-(-?\d+)/)[1]);
-    return bStep - aStep; // Descending order
+/**
+ * Format the modes: the default mode's variables (semantic tokens) for `scope`
+ * and a [mode, block] pair per additional mode
+ */
+function formatModes(processed, config = DEFAULT_CONFIG, scope = ":root") {
+  const modes = getModes(processed);
+  const defaultMode = processed.defaultMode || config.defaultMode;
+  const useLightDark = config.themeStrategy === "light-dark" && modes.light && modes.dark;
+  const variables = useLightDark ? mergeLightDark(modes.light, modes.dark) : modes[defaultMode];
+
+  let defaultVariables = "";
+  if (variables && Object.keys(variables).length > 0) {
+    if (useLightDark) defaultVariables += "    color-scheme: light dark;\n\n";
+    defaultVariables += formatModeVariables(variables, "    ", config);
   }
 
-  // Extract numeric parts for color scales (50-950)
-  const aMatch = a.match(/-(\d+)$/);
-  const bMatch = b.match(/-(\d+)$/);
+  const blocks = [];
+  for (const [mode, modeVariables] of Object.entries(modes)) {
+    if (mode === defaultMode || Object.keys(modeVariables).length === 0) continue;
+    if (useLightDark && (mode === "light" || mode === "dark")) continue;
 
-  if (aMatch && bMatch) {
-    const aNum = parseInt(aMatch[1]);
-    const bNum = parseInt(bMatch[1]);
-    return aNum - bNum; // Ascending order for colors
+    if (mode === "dark") {
+      blocks.push([mode, formatDarkMode(modeVariables, defaultMode, config, scope)]);
+    } else {
+      const selector = scopeSelector(scope, config.modeSelector.replace("{mode}", mode));
+      blocks.push([mode, formatModeBlock(selector, modeVariables, config)]);
+    }
   }
 
-  // For spacing and size, sort by numeric value
-  if (prefix === "spacing" || prefix === "size") {
-    // spacing-px should come first
-    if (a === "spacing-px") return -1;
-    if (b === "spacing-px") return 1;
+  return { defaultMode, defaultVariables, blocks };
+}
+
+/**
+ * Format mode variables grouped by category, in semantic order
+ */
+function formatModeVariables(modeVariables, indent, config = DEFAULT_CONFIG) {
+  let output = "";
+  let isFirst = true;
 
-    const aMatch = a.match(/(\d+)(_\d+)?$/);
-    const bMatch = b.match(/(\d+)(_\d+)?$/);
+  for (const [, entries] of groupModeVariables(modeVariables, config)) {
+    if (!isFirst) output += "\n";
+    isFirst = false;
 
-    if (aMatch && bMatch) {
-      const aNum = parseFloat(aMatch[0].replace("_", "."));
-      const bNum = parseFloat(bMatch[0].replace("_", "."));
-      return aNum - bNum;
+    for (const [name, value] of entries) {
+      output += `${indent}--${name}: ${value};\n`;
     }
   }
 
-  return a.localeCompare(b);
+  return output;
 }
 
 /**
- * Sort mode variables by semantic meaning
- *
- * This function maintains a preferred order for known variables while automatically
- * handling new variables. Variables follow the pattern: xxx-default, xxx-hover, xxx-active
- *
- * Behavior:
- * 1. Known variables appear in the defined order
- * 2. Unknown variables are added alphabetically after known ones
- * 3. Variables with -default, -hover, -active suffixes are automatically grouped:
- *    - xxx or xxx-default (first)
- *    - xxx-hover (second)
- *    - xxx-active (third)
- *
- * Examples:
- *   If you add --surface-brand, --surface-brand-hover, --surface-brand-active
- *   They will automatically appear together in that order after the known variables
- */
-function sortModeVariables(a, b) {
-  // Define semantic order for known variables in each category
-  // New variables will be added alphabetically after these
-  const categoryOrder = {
-    surface: [
-      "background",
-      "background-0",
-      "primary-default",
-      "primary-hover",
-      "primary-active",
-      "secondary-default",
-      "secondary-hover",
-      "secondary-active",
-      "tertiary-default",
-      "tertiary-hover",
-      "tertiary-active",
-      "quaternary",
-      "quinary",
-      "senary",
-      "septenary",
-      "octonary",
-      "accent",
-      "highlight-default",
-      "highlight-active",
-      "highlight-hover",
-      "focus",
-      "error",
-      "warning",
-      "success",
-      "info",
-      // New surface variables will be added alphabetically here
-    ],
-    text: [
-      "foreground-default",
-      "foreground-hover",
-      "foreground-active",
-      "primary-default",
-      "primary-hover",
-      "primary-active",
-      "secondary-default",
-      "secondary-hover",
-      "secondary-active",
-      "tertiary-default",
-      "tertiary-hover",
-      "tertiary-active",
-      "quaternary",
-      "quinary",
-      "senary",
-      "septenary",
-      "octonary",
-      "inverted",
-      "accent",
-      "highlight-default",
-      "highlight-hover",
-      "highlight-active",
-      "focus",
-      "error",
-      "warning",
-      "success",
-      "info",
-      // New text variables will be added alphabetically here
-    ],
-    icon: [
-      "foreground",
-      "foreground-hover",
-      "foreground-active",
-      "primary-default",
-      "primary-hover",
-      "primary-active",
-      "secondary-default",
-      "secondary-hover",
-      "secondary-active",
-      "tertiary",
-      "quaternary",
-      "quinary",
-      "senary",
-      "septenary",
-      "octonary",
-      "inverted",
-      "highlight-default",
-      "highlight-hover",
-      "highlight-active",
-      // New icon variables will be added alphabetically here
-    ],
-    outline: [
-      "primary-default",
-      "primary-hover",
-      "primary-active",
-      "secondary-default",
-      "secondary-hover",
-      "secondary-active",
-      "tertiary-default",
-      "tertiary-hover",
-      "tertiary-active",
-      "quaternary",
-      "quinary",
-      "senary",
-      "septenary",
-      "octonary-default",
-      "octonary-hover",
-      "octonary-active",
-      "disabled",
-      "inverted",
-      "focus",
-      "error",
-      "warning",
-      "success",
-      "info",
-      // New outline variables will be added alphabetically here
-    ],
-  };
+ * Format a mode as a selector block inside the layer
+ */
+function formatModeBlock(selector, modeVariables, config = DEFAULT_CONFIG) {
+  let output = `\n  ${selector} {\n`;
+  output += formatModeVariables(modeVariables, "    ", config);
+  output += "  }\n";
 
-  // Determine category
-  let category = null;
-  for (const cat in categoryOrder) {
-    if (a.startsWith(cat)) {
-      category = cat;
-      break;
-    }
+  return output;
+}
+
+/**
+ * Format the dark mode according to config.themeStrategy
+ */
+function formatDarkMode(modeVariables, defaultMode, config = DEFAULT_CONFIG, scope = ":root") {
+  const darkSelector = scopeSelector(scope, config.modeSelector.replace("{mode}", "dark"));
+
+  if (config.themeStrategy === "selector") {
+    return formatModeBlock(darkSelector, modeVariables, config);
   }
 
-  if (!category) {
-    return a.localeCompare(b);
+  if (config.themeStrategy === "class") {
+    return formatModeBlock(scopeSelector(scope, ".dark"), modeVariables, config);
   }
 
-  const aSuffix = a.replace(category + "-", "");
-  const bSuffix = b.replace(category + "-", "");
+  const rootSelector =
+    config.themeStrategy === "auto" ? `${scope}:not(${config.modeSelector.replace("{mode}", defaultMode)})` : scope;
 
-  const aIndex = categoryOrder[category].indexOf(aSuffix);
-  const bIndex = categoryOrder[category].indexOf(bSuffix);
+  let output = "\n  @media (prefers-color-scheme: dark) {\n";
+  output += `    ${rootSelector} {\n`;
+  output += formatModeVariables(modeVariables, "      ", config);
+  output += "\n    }\n";
+  output += "  }\n";
 
-  // Both are in the known list
-  if (aIndex !== -1 && bIndex !== -1) {
-    return aIndex - bIndex;
+  // The dark selector wins over the OS preference when set explicitly
+  if (config.themeStrategy === "auto") {
+    output += formatModeBlock(darkSelector, modeVariables, config);
   }
 
-  // Only 'a' is in the known list (a comes first)
-  if (aIndex !== -1) return -1;
+  return output;
+}
 
-  // Only 'b' is in the known list (b comes first)
-  if (bIndex !== -1) return 1;
+/**
+ * Combine a mode selector with a brand scope (`:root` leaves it unchanged)
+ */
+function scopeSelector(scope, selector) {
+  return scope === ":root" ? selector : `${scope}${selector}`;
+}
 
-  // Neither are in the known list - sort by semantic groups (default, hover, active)
-  // Extract base name and state
-  const aMatch = aSuffix.match(/^(.+?)(?:-(default|hover|active))?$/);
-  const bMatch = bSuffix.match(/^(.+?)(?:-(default|hover|active))?$/);
+/**
+ * Combine light and dark values into light-dark() values
+ *
+ * Variables defined in only one of the modes keep their value as-is.
+ */
+function mergeLightDark(lightMode, darkMode) {
+  const merged = {};
 
-  if (aMatch && bMatch) {
-    const aBase = aMatch[1];
-    const bBase = bMatch[1];
-    const aState = aMatch[2] || "default"; // If no state, treat as default
-    const bState = bMatch[2] || "default";
+  for (const name of new Set([...Object.keys(lightMode), ...Object.keys(darkMode)])) {
+    const light = lightMode[name];
+    const dark = darkMode[name];
 
-    // Same base name - sort by state (default, hover, active)
-    if (aBase === bBase) {
-      const stateOrder = { default: 0, hover: 1, active: 2 };
-      return (stateOrder[aState] || 3) - (stateOrder[bState] || 3);
+    if (light === undefined || dark === undefined || light === dark) {
+      merged[name] = light ?? dark;
+    } else {
+      merged[name] = `light-dark(${light}, ${dark})`;
     }
-
-    // Different base names - sort alphabetically
-    return aBase.localeCompare(bBase);
   }
 
-  // Fallback to alphabetical
-  return aSuffix.localeCompare(bSuffix);
+  return merged;
 }
 
 // Get __filename and __dirname equivalents in ES modules
@@ -781,43 +943,85 @@ const __dirname = dirname(__filename);
 // 2. Shebang execution: ./index.js
 // 3. npx execution: npx @netzstrategen/figma-variables
 // 4. Global installation: figma-variables
+// The bin links of 3. and 4. are symlinks to this file, so the real paths are compared;
+// another script named index.js that imports this module does not start the CLI.
 const isMainModule = () => {
   if (!process.argv[1]) return false;
 
-  const scriptPath = process.argv[1];
-
-  // Check if the script path matches this file
-  if (import.meta.url === `file://${scriptPath}`) return true;
-  if (__filename === scriptPath) return true;
-
-  // Check if it ends with index.js (handles symlinks and npx)
-  if (scriptPath.endsWith('/index.js') || scriptPath.endsWith('\\index.js')) return true;
-
-  // Check if it's the bin name from package.json
-  if (scriptPath.endsWith('/figma-variables') || scriptPath.endsWith('\\figma-variables')) return true;
-
-  return false;
+  try {
+    return fs.realpathSync(process.argv[1]) === fs.realpathSync(__filename);
+  } catch {
+    return false;
+  }
 };
 
 // Parse command line arguments and execute
 if (isMainModule()) {
-  const args = process.argv.slice(2);
+  let args;
+
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        help: { type: "boolean", short: "h" },
+        version: { type: "boolean", short: "v" },
+        config: { type: "string", short: "c" },
+        theme: { type: "string" },
+        format: { type: "string", short: "f" },
+        types: { type: "string" },
+        docs: { type: "string" },
+        split: { type: "boolean" },
+        layer: { type: "string" },
+        "no-layer": { type: "boolean" },
+        brands: { type: "string" },
+        watch: { type: "boolean", short: "w" },
+        strict: { type: "boolean" },
+        level: { type: "string" },
+        apca: { type: "boolean" },
+      },
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
 
   // Handle help flag
-  if (args.includes("--help") || args.includes("-h")) {
+  if (args.values.help) {
     console.log(`
 Figma Variables Transformer
 
 Usage:
-  figma-variables [input] [output]
+  figma-variables [input] [output] [options]
+  figma-variables <input> <input…> <output> [options]
   figma-variables --help
   figma-variables --version
+  figma-variables diff <old> <new> [--format text|markdown|json]
+  figma-variables audit <input> [--format text|json] [--level AA|AAA] [--apca]
+  figma-variables brands <input> [--format text|json] [--brands a,b]
 
 Arguments:
-  input   Path to the input CSS file (default: original.css)
+  input   Path to the input CSS or Figma variables JSON file (default: original.css);
+          several inputs or quoted glob patterns ("tokens/*.css") are merged in order
   output  Path to the output CSS file (default: output.css)
 
 Options:
+  --config, -c    Path to a config file (default: figma-variables.config.{js,mjs,json} in cwd)
+  --theme         Dark mode output: media, selector, class, auto or light-dark (default: media)
+  --format, -f    Output format: css, dtcg, js, tailwind, tailwind-preset,
+                  scss or less (default: css); for diff: text, markdown or json;
+                  for audit: text or json
+  --types         Also write TypeScript token types to <path>.d.ts and <path>.js
+  --docs          Also write an HTML token documentation page to <path>
+  --split         Write primitives.css and theme-<mode>.css next to the output,
+                  which @imports them (css format)
+  --layer         Cascade layer of the custom properties (default: globals)
+  --no-layer      Write the custom properties and utility classes without @layer
+  --brands        Comma-separated brand names, the base brand first; writes one
+                  output per brand (<output>-<brand>.css or a {brand} path)
+  --watch, -w     Re-run when the input or config file changes
+  --strict        Fail on broken references, incomplete modes and ungrouped variables
+  --level         WCAG level of the contrast audit: AA or AAA (default: AA)
+  --apca          Also check the APCA lightness contrast in the audit
   --help, -h      Show this help message
   --version, -v   Show version number
 
@@ -825,12 +1029,30 @@ Examples:
   figma-variables
   figma-variables ./src/figma-export.css ./src/globals.css
   figma-variables input.css
+  figma-variables input.css output.css --config ./tokens.config.json
+  figma-variables primitives.css styleguide.css typography.css ./src/globals.css
+  figma-variables "figma/*.css" ./src/globals.css
+  figma-variables input.css output.css --theme auto
+  figma-variables input.css tokens.tokens.json --format dtcg
+  figma-variables input.css ./src/theme.js --format js
+  figma-variables input.css ./src/tailwind-theme.css --format tailwind
+  figma-variables input.css ./src/_tokens.scss --format scss
+  figma-variables figma-variables.json ./src/globals.css
+  figma-variables input.css ./src/globals.css --types ./src/tokens
+  figma-variables input.css ./src/globals.css --docs ./docs/tokens.html
+  figma-variables input.css ./src/tokens/index.css --split --layer tokens
+  figma-variables input.css ./src/globals.css --watch
+  figma-variables input.css ./src/globals.css --strict
+  figma-variables diff old.css new.css --format markdown
+  figma-variables audit input.css --level AAA --apca
+  figma-variables input.css "./dist/{brand}/tokens.css" --brands acme,globex
+  figma-variables brands input.css --brands acme,globex
     `);
     process.exit(0);
   }
 
   // Handle version flag
-  if (args.includes("--version") || args.includes("-v")) {
+  if (args.values.version) {
     const packageJson = JSON.parse(
       fs.readFileSync(new URL("./package.json", import.meta.url), "utf8"),
     );
@@ -838,22 +1060,266 @@ Examples:
     process.exit(0);
   }
 
-  const inputPath = args[0] || "original.css";
-  const outputPath = args[1] || "output.css";
+  // Every positional but the last is an input when there are more than two
+  const multipleInputs = args.positionals.length > 2;
+  const inputPatterns = multipleInputs ? args.positionals.slice(0, -1) : [args.positionals[0] || "original.css"];
+  const outputPath = multipleInputs ? args.positionals.at(-1) : args.positionals[1] || "output.css";
+  const configPath = args.values.config || findConfigFile(process.cwd());
+
+  // Apply --brands (comma-separated brand names) to a config
+  const withBrands = (config) => {
+    if (!args.values.brands) return config;
+
+    const brands = args.values.brands.split(",").map((brand) => brand.trim()).filter(Boolean);
+    validateConfig({ brands }, "--brands");
+    return { ...config, brands };
+  };
+
+  // Compare two exports: figma-variables diff <old> <new>
+  if (args.positionals[0] === "diff") {
+    const [, previousPath, nextPath] = args.positionals;
+    const reportFormat = args.values.format || "text";
+
+    try {
+      if (!previousPath || !nextPath) {
+        throw new InputError("Usage: figma-variables diff <old> <new> [--format text|markdown|json]");
+      }
+
+      if (!DIFF_FORMATS[reportFormat]) {
+        const known = Object.keys(DIFF_FORMATS).join(", ");
+        throw new ConfigError(`Invalid diff format "${reportFormat}" (expected one of: ${known})`);
+      }
+
+      const config = await loadConfig(configPath);
+      const [previous, next] = [previousPath, nextPath].map((filePath) => {
+        const originalCSS = readInput(filePath);
+        return processVariables(parseVariables(originalCSS), originalCSS, config);
+      });
+
+      process.stdout.write(DIFF_FORMATS[reportFormat](diffTokens(previous, next, config)));
+    } catch (error) {
+      console.error("❌ Error al comparar los archivos:");
+      console.error(`   ${error.message}`);
+      process.exit(1);
+    }
+
+    process.exit(0);
+  }
+
+  // Check the contrast of semantic color pairs: figma-variables audit <input>
+  if (args.positionals[0] === "audit") {
+    const [, auditPath] = args.positionals;
+    const reportFormat = args.values.format || "text";
+    let audit;
+
+    try {
+      if (!auditPath) {
+        throw new InputError("Usage: figma-variables audit <input> [--format text|json] [--level AA|AAA] [--apca]");
+      }
+
+      if (!AUDIT_FORMATS[reportFormat]) {
+        const known = Object.keys(AUDIT_FORMATS).join(", ");
+        throw new ConfigError(`Invalid audit format "${reportFormat}" (expected one of: ${known})`);
+      }
+
+      let config = await loadConfig(configPath);
+
+      if (args.values.level) {
+        validateConfig({ contrastLevel: args.values.level }, "--level");
+        config = { ...config, contrastLevel: args.values.level };
+      }
+
+      if (args.values.apca) {
+        config = { ...config, apca: true };
+      }
+
+      const originalCSS = readInput(auditPath);
+      audit = auditContrast(processVariables(parseVariables(originalCSS), originalCSS, config), config);
+      process.stdout.write(AUDIT_FORMATS[reportFormat](audit));
+    } catch (error) {
+      console.error("❌ Error en la auditoría de contraste:");
+      console.error(`   ${error.message}`);
+      process.exit(1);
+    }
+
+    process.exit(audit.failures.length > 0 ? 1 : 0);
+  }
+
+  // Report the tokens each brand overrides: figma-variables brands <input>
+  if (args.positionals[0] === "brands") {
+    const [, brandsPath] = args.positionals;
+    const reportFormat = args.values.format || "text";
+
+    try {
+      if (!brandsPath) {
+        throw new InputError("Usage: figma-variables brands <input> [--format text|json] [--brands a,b]");
+      }
+
+      if (!BRAND_REPORT_FORMATS[reportFormat]) {
+        const known = Object.keys(BRAND_REPORT_FORMATS).join(", ");
+        throw new ConfigError(`Invalid brands format "${reportFormat}" (expected one of: ${known})`);
+      }
+
+      const config = withBrands(await loadConfig(configPath));
+      if (config.brands.length === 0) {
+        throw new ConfigError('No brands configured (set "brands" in the config or pass --brands)');
+      }
 
-  transformCSS(inputPath, outputPath);
+      const originalCSS = readInput(brandsPath);
+      const brands = splitBrands(processVariables(parseVariables(originalCSS), originalCSS, config), config);
+      process.stdout.write(BRAND_REPORT_FORMATS[reportFormat](brands));
+    } catch (error) {
+      console.error("❌ Error al comparar las marcas:");
+      console.error(`   ${error.message}`);
+      process.exit(1);
+    }
+
+    process.exit(0);
+  }
+
+  // Load the config file and apply the command line overrides
+  const loadCLIConfig = async () => {
+    let config = await loadConfig(configPath);
+
+    if (args.values.theme) {
+      validateConfig({ themeStrategy: args.values.theme }, "--theme");
+      config = { ...config, themeStrategy: args.values.theme };
+    }
+
+    if (args.values.format) {
+      validateConfig({ format: args.values.format }, "--format");
+      config = { ...config, format: args.values.format };
+    }
+
+    if (args.values.types) {
+      config = { ...config, types: args.values.types };
+    }
+
+    if (args.values.docs) {
+      config = { ...config, docs: args.values.docs };
+    }
+
+    if (args.values.split) {
+      config = { ...config, split: true };
+    }
+
+    if (args.values.layer) {
+      validateConfig({ layer: args.values.layer }, "--layer");
+      config = { ...config, layer: args.values.layer };
+    }
+
+    if (args.values["no-layer"]) {
+      config = { ...config, layer: null, utilityLayer: null };
+    }
+
+    if (args.values.strict) {
+      config = { ...config, strict: true };
+    }
+
+    return withBrands(config);
+  };
+
+  let config;
+  try {
+    config = await loadCLIConfig();
+  } catch (error) {
+    console.error("❌ Error al cargar la configuración:");
+    console.error(`   ${error.message}`);
+    process.exit(1);
+  }
+
+  let inputPaths;
+  try {
+    inputPaths = resolveInputs(inputPatterns, { exclude: [outputPath] });
+  } catch (error) {
+    console.error("❌ Error al leer los archivos de entrada:");
+    console.error(`   ${error.message}`);
+    process.exit(1);
+  }
+
+  const watch = args.values.watch;
+  let processed = transformCSS(inputPaths, outputPath, config, { exitOnError: !watch });
+
+  if (configPath) {
+    console.log(`   Config: ${configPath}`);
+  }
+
+  if (watch) {
+    watchFiles([...inputPaths, configPath].filter(Boolean), async (changedPaths) => {
+      console.log(`\n📝 Cambios en ${changedPaths.join(", ")}`);
+
+      if (configPath && changedPaths.includes(configPath)) {
+        try {
+          config = await loadCLIConfig();
+        } catch (error) {
+          console.error("❌ Error al cargar la configuración:");
+          console.error(`   ${error.message}`);
+          return;
+        }
+      }
+
+      const next = transformCSS(inputPaths, outputPath, config, { exitOnError: false });
+      if (!next) return;
+
+      if (processed) logTokenDiff(diffTokens(processed, next, config));
+      processed = next;
+    });
+
+    console.log(`👀 Observando ${inputPaths.join(", ")}${configPath ? ` y ${configPath}` : ""} (Ctrl+C para salir)`);
+  }
 }
 
 // Export functions for testing
 export {
+  DEFAULT_CONFIG,
+  FigmaVariablesError,
+  ConfigError,
+  InputError,
+  ValidationError,
+  findConfigFile,
+  loadConfig,
+  resolveConfig,
+  validateConfig,
+  transform,
   transformCSS,
+  logTokenDiff,
+  diffTokens,
+  auditContrast,
+  formatAuditText,
+  formatAuditJSON,
+  formatDiffText,
+  formatDiffMarkdown,
+  formatDiffJSON,
+  readInput,
+  figmaVariablesToCSS,
   parseVariables,
+  parseCustomProperties,
   processVariables,
+  detectModes,
+  splitModeName,
+  isSkipped,
   simplifyName,
   simplifyVariableReferences,
+  validateReferences,
   processFontSizes,
   generateClamp,
+  processTypography,
+  generateTextClasses,
   generateOutput,
+  generateDTCG,
+  generateTypes,
+  generateJS,
+  generateTailwindTheme,
+  generateTailwindPreset,
+  generateSCSS,
+  generateLess,
+  getModes,
+  groupPrimitives,
+  groupModeVariables,
+  formatModeVariables,
+  formatModeBlock,
+  formatDarkMode,
+  mergeLightDark,
   sortVariables,
   sortModeVariables,
 };
@@ -0,0 +1,201 @@
+import { DEFAULT_CONFIG } from "./config.js";
+import { flattenTokens } from "./diff.js";
+import { getModes } from "./grouping.js";
+import { getReferences } from "./validate.js";
+
+/**
+ * Brands
+ *
+ * Several brands can share one Figma library, with the brand differences as
+ * modes: `-<brand>-mode` variables (e.g. brand colors on the color collection)
+ * and `-<brand>-<theme>-mode` variables (semantic tokens per brand and theme).
+ * The brand names come from `config.brands`; the first one is the base brand.
+ *
+ * Every brand gets a complete token set: the shared primitives and modes, then
+ * the base brand's tokens, then its own. Its overrides are the tokens whose value
+ * differs from the base brand, so a brand that does not define a token inherits
+ * the base brand's value, in the brand files and in `[data-brand]` blocks alike.
+ */
+
+/**
+ * Find the brand mode of a `<name>-<mode>-mode` variable (null for other variables)
+ *
+ * Returns `<brand>` or `<brand>-<theme>`; with brands `acme` and `acme-pro`, the
+ * longest brand that matches wins.
+ */
+function matchBrandMode(name, brands) {
+  const match = name.match(/^(.+)-mode$/);
+  if (!match) return null;
+
+  const base = match[1];
+  let result = null;
+
+  for (const brand of brands) {
+    if (result && brand.length <= result.brand.length) continue;
+
+    if (base.endsWith(`-${brand}`)) {
+      result = { brand, mode: brand };
+      continue;
+    }
+
+    const index = base.lastIndexOf(`-${brand}-`);
+    if (index > 0) {
+      result = { brand, mode: `${brand}-${base.slice(index + brand.length + 2)}` };
+    }
+  }
+
+  return result && result.mode;
+}
+
+/**
+ * Split processed variables into one complete token set per brand
+ *
+ * Returns `[{ brand, tokens, overrides }]` in the order of `config.brands`:
+ * `tokens` is a processed result of its own (`primitives`, `modes` per theme,
+ * `defaultMode`) and `overrides` lists the tokens that differ from the base brand
+ * as `{ token, name, mode, group, value, base }` (`base` is undefined for tokens
+ * the base brand does not have).
+ */
+function splitBrands(processed, config = DEFAULT_CONFIG) {
+  const shared = { primitives: processed.primitives, themes: {} };
+  const own = Object.fromEntries(config.brands.map((brand) => [brand, { primitives: {}, themes: {} }]));
+
+  for (const [mode, variables] of Object.entries(getModes(processed))) {
+    const brand = findBrand(mode, config.brands);
+
+    if (!brand) {
+      shared.themes[mode] = variables;
+    } else if (mode === brand) {
+      own[brand].primitives = variables;
+    } else {
+      own[brand].themes[mode.slice(brand.length + 1)] = variables;
+    }
+  }
+
+  const [baseBrand] = config.brands;
+  const brands = config.brands.map((brand) => {
+    const layers = [shared, own[baseBrand], own[brand]];
+    return { brand, tokens: mergeLayers(layers, config) };
+  });
+
+  const base = flattenTokens(brands[0].tokens, config);
+
+  for (const entry of brands) {
+    entry.overrides = [...flattenTokens(entry.tokens, config)]
+      .filter(([token, { value }]) => base.get(token)?.value !== value)
+      .map(([token, { name, mode, group, value }]) => ({ token, name, mode, group, value, base: base.get(token)?.value }));
+  }
+
+  return brands;
+}
+
+/**
+ * Find the brand a mode belongs to (`<brand>` or `<brand>-<theme>`)
+ */
+function findBrand(mode, brands) {
+  return brands
+    .filter((brand) => mode === brand || mode.startsWith(`${brand}-`))
+    .reduce((longest, brand) => (!longest || brand.length > longest.length ? brand : longest), null);
+}
+
+/**
+ * Merge shared, base brand and brand tokens into one processed result
+ */
+function mergeLayers(layers, config = DEFAULT_CONFIG) {
+  const primitives = Object.assign({}, ...layers.map((layer) => layer.primitives));
+  const themes = [...new Set(layers.flatMap((layer) => Object.keys(layer.themes)))];
+  const defaultMode = themes.includes(config.defaultMode) ? config.defaultMode : themes[0] || config.defaultMode;
+
+  const modes = {};
+  for (const theme of [defaultMode, ...themes.filter((theme) => theme !== defaultMode)]) {
+    if (!themes.includes(theme)) continue;
+    modes[theme] = Object.assign({}, ...layers.map((layer) => layer.themes[theme] || {}));
+  }
+
+  return { primitives, modes, defaultMode, warnings: [] };
+}
+
+/**
+ * Keep only the overridden tokens of a brand, for a `[data-brand]` block
+ *
+ * A semantic token overridden in one theme is kept in every theme, so the brand
+ * block never mixes its own value with a base value set for another theme. Tokens
+ * referencing an overridden token are kept as well: var() is resolved where a
+ * custom property is declared, so inheriting them from `:root` would keep the
+ * base brand's value.
+ */
+function getOverrideTokens({ tokens, overrides }) {
+  const names = new Set(overrides.map(({ name }) => name));
+  const sets = [tokens.primitives, ...Object.values(tokens.modes)];
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const [name, value] of sets.flatMap(Object.entries)) {
+      if (!names.has(name) && getReferences(value).some(([reference]) => names.has(reference))) {
+        names.add(name);
+        changed = true;
+      }
+    }
+  }
+
+  const pick = (variables) => Object.fromEntries(Object.entries(variables).filter(([name]) => names.has(name)));
+
+  return {
+    primitives: pick(tokens.primitives),
+    modes: Object.fromEntries(Object.entries(tokens.modes).map(([mode, variables]) => [mode, pick(variables)])),
+    defaultMode: tokens.defaultMode,
+    warnings: [],
+  };
+}
+
+/**
+ * Format the brand overrides as plain text
+ */
+function formatBrandReportText(brands) {
+  const [base, ...others] = brands;
+  const lines = [`Base brand: ${base.brand}`];
+
+  for (const { brand, overrides } of others) {
+    lines.push("", `${brand}: ${overrides.length} token${overrides.length === 1 ? "" : "s"} overridden`);
+
+    for (const { name, mode, value, base: baseValue } of overrides) {
+      const token = `--${name}${mode ? ` (${mode})` : ""}`;
+      lines.push(baseValue === undefined ? `  + ${token}: ${value}` : `  ~ ${token}: ${baseValue} -> ${value}`);
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Format the brand overrides as JSON
+ */
+function formatBrandReportJSON(brands) {
+  const report = {
+    base: brands[0].brand,
+    brands: brands.slice(1).map(({ brand, overrides }) => ({
+      brand,
+      count: overrides.length,
+      overrides: overrides.map(({ name, mode, group, value, base }) => ({ name, mode, group, value, base: base ?? null })),
+    })),
+  };
+
+  return JSON.stringify(report, null, 2) + "\n";
+}
+
+// Report formats of the brands command
+const BRAND_REPORT_FORMATS = {
+  text: formatBrandReportText,
+  json: formatBrandReportJSON,
+};
+
+export {
+  BRAND_REPORT_FORMATS,
+  findBrand,
+  formatBrandReportJSON,
+  formatBrandReportText,
+  getOverrideTokens,
+  matchBrandMode,
+  splitBrands,
+};
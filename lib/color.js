@@ -0,0 +1,211 @@
+import { DEFAULT_CONFIG } from "./config.js";
+
+/**
+ * Color conversion
+ *
+ * Parses the color syntaxes found in exports and token files (hex, rgb(), hsl()
+ * and oklch(), with comma or space separated arguments and an optional alpha)
+ * into sRGB channels from 0 to 1:
+ *
+ *   { r, g, b, alpha }
+ *
+ * and writes them back as hex, rgb(), hsl() or oklch(). Conversions go through
+ * OKLab (https://bottosson.github.io/posts/oklab/); oklch colors outside the
+ * sRGB gamut are clipped when written in another format.
+ */
+
+const COLOR_FORMATS = ["hex", "rgb", "hsl", "oklch"];
+
+// @supports condition of the oklch() block written with colorFallback
+const OKLCH_SUPPORTS = "color: oklch(0 0 0)";
+
+/**
+ * Parse a CSS color (null for anything else, e.g. var() or named colors)
+ */
+function parseColor(value) {
+  const hex = value.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+  if (hex) return parseHex(hex[1]);
+
+  const fn = value.match(/^(rgba?|hsla?|oklch)\(([^()]*)\)$/i);
+  if (!fn) return null;
+
+  const args = fn[2].trim().split(/\s*[,/]\s*|\s+/);
+  if (args.length < 3 || args.length > 4) return null;
+
+  const alpha = args.length === 4 ? parseNumber(args[3], 1) : 1;
+  const name = fn[1].toLowerCase();
+  let color;
+
+  if (name.startsWith("rgb")) {
+    const [r, g, b] = args.slice(0, 3).map((arg) => parseNumber(arg, 255));
+    color = { r: r / 255, g: g / 255, b: b / 255 };
+  } else if (name.startsWith("hsl")) {
+    color = hslToRgb(parseFloat(args[0]), parseNumber(args[1], 100), parseNumber(args[2], 100));
+  } else {
+    color = oklchToRgb(parseNumber(args[0], 1), parseNumber(args[1], 0.4), parseFloat(args[2]));
+  }
+
+  if (![alpha, ...Object.values(color)].every(Number.isFinite)) {
+    return null;
+  }
+
+  return { ...color, alpha };
+}
+
+function parseHex(digits) {
+  const full = digits.length <= 4 ? [...digits].map((digit) => digit + digit).join("") : digits;
+  const channel = (i) => parseInt(full.slice(i * 2, i * 2 + 2), 16) / 255;
+
+  return { r: channel(0), g: channel(1), b: channel(2), alpha: full.length === 8 ? channel(3) : 1 };
+}
+
+/**
+ * Parse a number or percentage; percentages are scaled to `percentOf` (NaN if invalid)
+ */
+function parseNumber(arg, percentOf) {
+  const match = arg.match(/^(-?[\d.]+)(%)?$/);
+  if (!match) return NaN;
+
+  return match[2] ? (parseFloat(match[1]) / 100) * percentOf : parseFloat(match[1]);
+}
+
+/**
+ * Write a parsed color in one of COLOR_FORMATS
+ */
+function formatColor(color, format) {
+  const { alpha } = color;
+  const [r, g, b] = [color.r, color.g, color.b].map((channel) => Math.min(1, Math.max(0, channel)));
+  const withAlpha = (channels) => (alpha < 1 ? `${channels} / ${round(alpha, 4)}` : channels);
+
+  if (format === "hex") {
+    const hex = (channel) => Math.round(channel * 255).toString(16).padStart(2, "0");
+    return `#${hex(r)}${hex(g)}${hex(b)}${alpha < 1 ? hex(alpha) : ""}`;
+  }
+
+  if (format === "rgb") {
+    return `rgb(${withAlpha([r, g, b].map((channel) => round(channel * 255, 2)).join(" "))})`;
+  }
+
+  if (format === "hsl") {
+    const { h, s, l } = rgbToHsl(r, g, b);
+    return `hsl(${withAlpha(`${round(h, 2)} ${round(s, 2)}% ${round(l, 2)}%`)})`;
+  }
+
+  const { l, c, h } = rgbToOklch(color.r, color.g, color.b);
+  return `oklch(${withAlpha(`${round(l, 4)} ${round(c, 4)} ${round(h, 2)}`)})`;
+}
+
+/**
+ * Convert a color value to another format (unchanged if it is not a color)
+ */
+function convertColor(value, format) {
+  const color = parseColor(value);
+  return color ? formatColor(color, format) : value;
+}
+
+/**
+ * Convert every literal color of a processed result to `config.colorFormat`
+ *
+ * With `config.colorFallback` and oklch the colors are written as hex; the CSS
+ * output adds the oklch() values of the primitives in an @supports block.
+ */
+function convertColors(processed, config = DEFAULT_CONFIG) {
+  if (!config.colorFormat) return;
+
+  const format = hasColorFallback(config) ? "hex" : config.colorFormat;
+
+  for (const variables of [processed.primitives, ...Object.values(processed.modes)]) {
+    for (const [name, value] of Object.entries(variables)) {
+      variables[name] = convertColor(value, format);
+    }
+  }
+}
+
+/**
+ * Check whether the CSS output gets hex colors plus an @supports oklch() block
+ */
+function hasColorFallback(config = DEFAULT_CONFIG) {
+  return config.colorFormat === "oklch" && config.colorFallback;
+}
+
+function hslToRgb(h, s, l) {
+  const saturation = s / 100;
+  const lightness = l / 100;
+  const k = (n) => (n + (((h % 360) + 360) % 360) / 30) % 12;
+  const a = saturation * Math.min(lightness, 1 - lightness);
+  const f = (n) => lightness - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+
+  return { r: f(0), g: f(8), b: f(4) };
+}
+
+function rgbToHsl(r, g, b) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const d = max - min;
+
+  if (d === 0) return { h: 0, s: 0, l: l * 100 };
+
+  const s = d / (1 - Math.abs(2 * l - 1));
+  let h;
+  if (max === r) h = ((g - b) / d) % 6;
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+
+  return { h: (h * 60 + 360) % 360, s: s * 100, l: l * 100 };
+}
+
+function toLinear(channel) {
+  return channel <= 0.04045 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+}
+
+function fromLinear(channel) {
+  return channel <= 0.0031308 ? channel * 12.92 : 1.055 * channel ** (1 / 2.4) - 0.055;
+}
+
+function rgbToOklch(r, g, b) {
+  const [lr, lg, lb] = [r, g, b].map(toLinear);
+
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+  const L = 0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s;
+  const A = 1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s;
+  const B = 0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s;
+
+  const c = Math.sqrt(A * A + B * B);
+  // Grays have no hue
+  const h = c < 0.0001 ? 0 : ((Math.atan2(B, A) * 180) / Math.PI + 360) % 360;
+
+  return { l: L, c: c < 0.0001 ? 0 : c, h };
+}
+
+function oklchToRgb(L, c, h) {
+  const A = c * Math.cos((h * Math.PI) / 180);
+  const B = c * Math.sin((h * Math.PI) / 180);
+
+  const l = (L + 0.3963377774 * A + 0.2158037573 * B) ** 3;
+  const m = (L - 0.1055613458 * A - 0.0638541728 * B) ** 3;
+  const s = (L - 0.0894841775 * A - 1.291485548 * B) ** 3;
+
+  return {
+    r: fromLinear(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+    g: fromLinear(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+    b: fromLinear(-0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s),
+  };
+}
+
+function round(value, decimals) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+export {
+  COLOR_FORMATS,
+  OKLCH_SUPPORTS,
+  convertColor,
+  convertColors,
+  formatColor,
+  hasColorFallback,
+  parseColor,
+};
@@ -0,0 +1,582 @@
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { ConfigError } from "./errors.js";
+
+/**
+ * Configuration handling
+ *
+ * Every naming and ordering rule the transformer applies can be overridden or
+ * extended by a `figma-variables.config.{js,mjs,json}` file in the working
+ * directory (or a file passed with `--config`).
+ *
+ * Top-level keys replace the defaults. Keys inside `extend` are merged into the
+ * defaults instead: arrays are appended, objects are merged key by key.
+ *
+ * Example:
+ *   export default {
+ *     colorOrder: ["color-brand", "color-gray"],
+ *     extend: {
+ *       skipPrefixes: ["motion-"],
+ *       renames: { "spacing-spacing-": "spacing-" },
+ *     },
+ *   };
+ */
+
+// Text style properties and the token family each one refers to
+const TEXT_STYLE_PROPERTIES = {
+  family: "font-family",
+  size: "font-size",
+  weight: "font-weight",
+  lineHeight: "line-height",
+  letterSpacing: "letter-spacing",
+};
+
+const CONFIG_FILES = [
+  "figma-variables.config.js",
+  "figma-variables.config.mjs",
+  "figma-variables.config.json",
+];
+
+const DEFAULT_CONFIG = {
+  // Redundant prefixes removed from variable names (prefix -> replacement)
+  renames: {
+    "border-border-": "border-",
+    "size-size-": "size-",
+    "surface-surface-": "surface-",
+    "text-text-": "text-",
+    "icon-icon-": "icon-",
+    "outline-outline-": "outline-",
+    "typography-font-": "font-family-",
+  },
+
+  // Variables starting with these prefixes are not part of the output
+  skipPrefixes: ["font-size-mid-", "type-", "viewport-"],
+
+  // Variables that keep their px value even when a -rem twin exists
+  keepPx: ["radii-full", "spacing-px"],
+
+  // Color palettes in preferred order; undetected palettes are appended alphabetically
+  colorOrder: [
+    "color-default",
+    "color-gray",
+    "color-primary",
+    "color-secondary",
+    "color-tertiary",
+    "color-highlight",
+    "color-accent",
+  ],
+
+  // Order of the remaining primitive groups and semantic categories
+  groupOrder: [
+    "container",
+    "header",
+    "font-family",
+    "font-weight",
+    "border",
+    "radii",
+    "spacing",
+    "size",
+    "font-size",
+    "line-height",
+    "letter-spacing",
+    "surface",
+    "text",
+    "icon",
+    "outline",
+  ],
+
+  // Named size scales sorted by position instead of alphabetically
+  sizeOrder: {
+    radii: ["xs", "sm", "md", "lg", "xl", "2xl", "3xl", "4xl", "full"],
+    border: ["xs", "sm", "md", "lg", "xl"],
+    "font-weight": [
+      "thin",
+      "thin-italic",
+      "extralight",
+      "extralight-italic",
+      "light",
+      "light-italic",
+      "regular",
+      "italic",
+      "medium",
+      "medium-italic",
+      "semibold",
+      "semibold-italic",
+      "bold",
+      "bold-italic",
+      "extrabold",
+      "extrabold-italic",
+      "black",
+      "black-italic",
+    ],
+  },
+
+  // Mode names (`<name>-<mode>-mode`); detected from the variables when empty
+  modes: [],
+
+  // Mode written to `:root`; falls back to the first detected mode
+  defaultMode: "light",
+
+  // Selector for additional modes (`{mode}` is replaced by the mode name)
+  modeSelector: '[data-theme="{mode}"]',
+
+  // Brands of a multi-brand library (`-<brand>-mode` and `-<brand>-<theme>-mode`
+  // variables); the first one is the base brand
+  brands: [],
+
+  // Multi-brand output: "files" (one complete output per brand) or "selector"
+  // (the base brand in :root, the other brands' overrides in brandSelector blocks)
+  brandOutput: "files",
+
+  // Selector of a brand block (`{brand}` is replaced by the brand name)
+  brandSelector: '[data-brand="{brand}"]',
+
+  // Output format: "css" (custom properties), "dtcg" (W3C design tokens JSON),
+  // "js" (ES module with a nested theme object), "tailwind" (v4 @theme block),
+  // "tailwind-preset" (v3 config preset), "scss" or "less" (variables and maps)
+  format: "css",
+
+  // Values of the "js" format: "var" (var(--…) references) or "raw" (resolved values)
+  jsValues: "var",
+
+  // Cascade layer of the generated custom properties (CSS output); no layer when null
+  layer: "globals",
+
+  // Cascade layer of the text style utility classes; no layer when null
+  utilityLayer: "utilities",
+
+  // Write primitives and each mode to their own files next to the output
+  // (`primitives.css`, `theme-<mode>.css`), with the output @import-ing them (CSS output)
+  split: false,
+
+  // Path for generated TypeScript declarations (`<path>.d.ts` + `<path>.js`); off when null
+  types: null,
+
+  // Path for a generated HTML token documentation page; off when null
+  docs: null,
+
+  // How the dark mode is emitted:
+  // - "media":      @media (prefers-color-scheme: dark) { :root {…} }
+  // - "selector":   modeSelector block, e.g. [data-theme="dark"] {…}
+  // - "class":      .dark {…}
+  // - "auto":       media query unless the light selector is set, plus the dark selector
+  // - "light-dark": light-dark(<light>, <dark>) values in :root
+  themeStrategy: "media",
+
+  // Token families whose `<family>-min-<key>` / `<family>-max-<key>` variants
+  // become fluid `<family>-<key>` clamp() tokens
+  fluidFamilies: ["font-size", "spacing", "radii", "container", "header"],
+
+  // Utopia-style pairs per family, e.g. { spacing: ["s-l"] } scales from the
+  // min of spacing s to the max of spacing l as `spacing-s-l`
+  fluidPairs: {},
+
+  // Pixels per rem, used for viewport widths and px-only sizes in clamp()
+  rootFontSize: 16,
+
+  // Decimal places of the clamp() preferred value
+  clampPrecision: 4,
+
+  // Unit fluid tokens scale with: "vw" (viewport) or "cqi" / "cqw" (size container)
+  fluidUnit: "vw",
+
+  // Warn about fluid font sizes whose max exceeds 2.5x the min (WCAG 1.4.4)
+  wcagZoomCheck: true,
+
+  // Format of literal colors: "hex", "rgb", "hsl" or "oklch"; kept as exported when null
+  colorFormat: null,
+
+  // With colorFormat "oklch": write hex colors and override the primitives with
+  // their oklch() values in an @supports block (CSS output)
+  colorFallback: false,
+
+  // Text styles combining font tokens into `text-<style>-<property>` composites, e.g.
+  // { "heading-1": { family: "heading", size: "step-5", weight: "bold", lineHeight: "tight" } }
+  textStyles: {},
+
+  // Also write a `.text-<style>` utility class per text style (CSS output)
+  textClasses: false,
+
+  // WCAG level of the contrast audit: "AA" or "AAA"
+  contrastLevel: "AA",
+
+  // Also check the APCA lightness contrast in the contrast audit
+  apca: false,
+
+  // Extra foreground -> background pairs for the contrast audit, besides
+  // text-<key> / icon-<key> on surface-<key>
+  contrastPairs: {},
+
+  // Fail instead of warning on dangling or circular references, tokens missing
+  // from some modes and variables that match no group
+  strict: false,
+
+  // Semantic order of mode variables per category; unknown ones follow alphabetically
+  modeOrder: {
+    surface: [
+      "background",
+      "background-0",
+      "primary-default",
+      "primary-hover",
+      "primary-active",
+      "secondary-default",
+      "secondary-hover",
+      "secondary-active",
+      "tertiary-default",
+      "tertiary-hover",
+      "tertiary-active",
+      "quaternary",
+      "quinary",
+      "senary",
+      "septenary",
+      "octonary",
+      "accent",
+      "highlight-default",
+      "highlight-active",
+      "highlight-hover",
+      "focus",
+      "error",
+      "warning",
+      "success",
+      "info",
+    ],
+    text: [
+      "foreground-default",
+      "foreground-hover",
+      "foreground-active",
+      "primary-default",
+      "primary-hover",
+      "primary-active",
+      "secondary-default",
+      "secondary-hover",
+      "secondary-active",
+      "tertiary-default",
+      "tertiary-hover",
+      "tertiary-active",
+      "quaternary",
+      "quinary",
+      "senary",
+      "septenary",
+      "octonary",
+      "inverted",
+      "accent",
+      "highlight-default",
+      "highlight-hover",
+      "highlight-active",
+      "focus",
+      "error",
+      "warning",
+      "success",
+      "info",
+    ],
+    icon: [
+      "foreground",
+      "foreground-hover",
+      "foreground-active",
+      "primary-default",
+      "primary-hover",
+      "primary-active",
+      "secondary-default",
+      "secondary-hover",
+      "secondary-active",
+      "tertiary",
+      "quaternary",
+      "quinary",
+      "senary",
+      "septenary",
+      "octonary",
+      "inverted",
+      "highlight-default",
+      "highlight-hover",
+      "highlight-active",
+    ],
+    outline: [
+      "primary-default",
+      "primary-hover",
+      "primary-active",
+      "secondary-default",
+      "secondary-hover",
+      "secondary-active",
+      "tertiary-default",
+      "tertiary-hover",
+      "tertiary-active",
+      "quaternary",
+      "quinary",
+      "senary",
+      "septenary",
+      "octonary-default",
+      "octonary-hover",
+      "octonary-active",
+      "disabled",
+      "inverted",
+      "focus",
+      "error",
+      "warning",
+      "success",
+      "info",
+    ],
+  },
+};
+
+// Shape of every option: "string", "number" (positive), "integer" (0 or more), "list"
+// (array of strings), "map" (string -> string), "lists" (string -> array of strings),
+// "styles" (text styles) or an array of allowed values
+const SCHEMA = {
+  renames: "map",
+  skipPrefixes: "list",
+  keepPx: "list",
+  colorOrder: "list",
+  groupOrder: "list",
+  sizeOrder: "lists",
+  modes: "list",
+  defaultMode: "string",
+  modeSelector: "string",
+  brands: "list",
+  brandOutput: ["files", "selector"],
+  brandSelector: "string",
+  format: ["css", "dtcg", "js", "tailwind", "tailwind-preset", "scss", "less"],
+  jsValues: ["var", "raw"],
+  types: "string",
+  docs: "string",
+  layer: "string",
+  utilityLayer: "string",
+  split: [false, true],
+  themeStrategy: ["media", "selector", "class", "auto", "light-dark"],
+  fluidFamilies: "list",
+  fluidPairs: "lists",
+  rootFontSize: "number",
+  clampPrecision: "integer",
+  fluidUnit: ["vw", "cqi", "cqw"],
+  wcagZoomCheck: [true, false],
+  colorFormat: ["hex", "rgb", "hsl", "oklch"],
+  colorFallback: [false, true],
+  textStyles: "styles",
+  textClasses: [false, true],
+  contrastLevel: ["AA", "AAA"],
+  apca: [false, true],
+  contrastPairs: "lists",
+  strict: [false, true],
+  modeOrder: "lists",
+};
+
+// Options that are on by default but can be turned off with null
+const NULLABLE_OPTIONS = ["layer", "utilityLayer"];
+
+/**
+ * Find a config file in the given directory
+ */
+function findConfigFile(cwd = process.cwd()) {
+  for (const file of CONFIG_FILES) {
+    const candidate = path.join(cwd, file);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Load, validate and merge a config file with the defaults
+ *
+ * Without a path the defaults are returned unchanged.
+ */
+async function loadConfig(configPath) {
+  if (!configPath) {
+    return resolveConfig({});
+  }
+
+  if (!fs.existsSync(configPath)) {
+    throw new ConfigError(`Config file not found: ${configPath}`);
+  }
+
+  let userConfig;
+
+  if (configPath.endsWith(".json")) {
+    try {
+      userConfig = JSON.parse(fs.readFileSync(configPath, "utf8"));
+    } catch (error) {
+      throw new ConfigError(`Invalid JSON in ${configPath}: ${error.message}`);
+    }
+  } else {
+    // The modification time busts the module cache, so watch mode picks up edits
+    const { mtimeMs } = fs.statSync(configPath);
+    const module = await import(`${pathToFileURL(path.resolve(configPath)).href}?t=${mtimeMs}`);
+    userConfig = module.default;
+  }
+
+  return resolveConfig(userConfig, configPath);
+}
+
+/**
+ * Validate a user config object and merge it with the defaults
+ */
+function resolveConfig(userConfig, source = "config") {
+  validateConfig(userConfig, source);
+
+  const { extend = {}, ...overrides } = userConfig;
+  const config = { ...DEFAULT_CONFIG, ...overrides };
+
+  for (const [key, value] of Object.entries(extend)) {
+    config[key] = extendOption(SCHEMA[key], config[key], value);
+  }
+
+  if (config.split && config.format !== "css") {
+    throw new ConfigError(`Invalid config (${source}): "split" only applies to the css format, not "${config.format}"`);
+  }
+
+  if (config.colorFallback && config.colorFormat !== "oklch") {
+    throw new ConfigError(`Invalid config (${source}): "colorFallback" only applies to colorFormat "oklch"`);
+  }
+
+  if (config.brands.length > 0 && config.brandOutput === "selector") {
+    if (config.format !== "css") {
+      throw new ConfigError(`Invalid config (${source}): brandOutput "selector" only applies to the css format, not "${config.format}"`);
+    }
+    if (config.split) {
+      throw new ConfigError(`Invalid config (${source}): brandOutput "selector" cannot be combined with "split"`);
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Merge an `extend` value into the current value of an option
+ */
+function extendOption(type, current, addition) {
+  if (type === "string" || type === "number" || type === "integer" || Array.isArray(type)) {
+    return addition;
+  }
+
+  if (type === "list") {
+    return [...current, ...addition.filter((item) => !current.includes(item))];
+  }
+
+  if (type === "map" || type === "styles") {
+    return { ...current, ...addition };
+  }
+
+  const merged = { ...current };
+  for (const [key, list] of Object.entries(addition)) {
+    merged[key] = extendOption("list", merged[key] || [], list);
+  }
+  return merged;
+}
+
+/**
+ * Validate a user config object, throwing on the first problem found
+ */
+function validateConfig(userConfig, source = "config") {
+  if (!isPlainObject(userConfig)) {
+    throw new ConfigError(`Invalid config (${source}): expected an object`);
+  }
+
+  const { extend, ...overrides } = userConfig;
+  validateOptions(overrides, source, "");
+
+  if (extend !== undefined) {
+    if (!isPlainObject(extend)) {
+      throw new ConfigError(`Invalid config (${source}): "extend" must be an object`);
+    }
+    validateOptions(extend, source, "extend.");
+  }
+}
+
+/**
+ * Validate a set of options against the schema
+ */
+function validateOptions(options, source, keyPrefix) {
+  for (const [key, value] of Object.entries(options)) {
+    const type = SCHEMA[key];
+    const label = `"${keyPrefix}${key}"`;
+
+    if (!type) {
+      const known = Object.keys(SCHEMA).join(", ");
+      throw new ConfigError(`Invalid config (${source}): unknown option ${label} (expected one of: ${known})`);
+    }
+
+    // Options that are off by default (e.g. types) and layers can be turned off with null
+    if (value === null && (DEFAULT_CONFIG[key] === null || NULLABLE_OPTIONS.includes(key))) continue;
+
+    if (Array.isArray(type) && !type.includes(value)) {
+      throw new ConfigError(`Invalid config (${source}): ${label} must be one of: ${type.join(", ")}`);
+    }
+
+    if (type === "string" && (typeof value !== "string" || value.length === 0)) {
+      throw new ConfigError(`Invalid config (${source}): ${label} must be a non-empty string`);
+    }
+
+    if (type === "number" && !(typeof value === "number" && Number.isFinite(value) && value > 0)) {
+      throw new ConfigError(`Invalid config (${source}): ${label} must be a positive number`);
+    }
+
+    if (type === "integer" && !(Number.isInteger(value) && value >= 0)) {
+      throw new ConfigError(`Invalid config (${source}): ${label} must be a whole number of 0 or more`);
+    }
+
+    if (type === "list" && !isStringList(value)) {
+      throw new ConfigError(`Invalid config (${source}): ${label} must be an array of strings`);
+    }
+
+    if (type === "map") {
+      if (!isPlainObject(value) || !Object.values(value).every((v) => typeof v === "string")) {
+        throw new ConfigError(`Invalid config (${source}): ${label} must be an object mapping prefixes to strings`);
+      }
+    }
+
+    if (type === "styles") {
+      if (!isPlainObject(value)) {
+        throw new ConfigError(`Invalid config (${source}): ${label} must be an object of text styles`);
+      }
+      for (const [style, properties] of Object.entries(value)) {
+        const styleKey = `${keyPrefix}${key}.${style}`;
+        const known = Object.keys(TEXT_STYLE_PROPERTIES);
+
+        if (!isPlainObject(properties)) {
+          throw new ConfigError(`Invalid config (${source}): "${styleKey}" must be an object`);
+        }
+        for (const [property, token] of Object.entries(properties)) {
+          if (!known.includes(property)) {
+            throw new ConfigError(
+              `Invalid config (${source}): unknown property "${property}" in "${styleKey}" (expected one of: ${known.join(", ")})`,
+            );
+          }
+          if (typeof token !== "string" || token.length === 0) {
+            throw new ConfigError(`Invalid config (${source}): "${styleKey}.${property}" must be a non-empty string`);
+          }
+        }
+      }
+    }
+
+    if (type === "lists") {
+      if (!isPlainObject(value)) {
+        throw new ConfigError(`Invalid config (${source}): ${label} must be an object of string arrays`);
+      }
+      for (const [group, list] of Object.entries(value)) {
+        if (!isStringList(list)) {
+          throw new ConfigError(`Invalid config (${source}): "${keyPrefix}${key}.${group}" must be an array of strings`);
+        }
+      }
+    }
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === "string" && item.length > 0);
+}
+
+export {
+  CONFIG_FILES,
+  DEFAULT_CONFIG,
+  TEXT_STYLE_PROPERTIES,
+  findConfigFile,
+  loadConfig,
+  resolveConfig,
+  validateConfig,
+};
@@ -0,0 +1,237 @@
+import { parseColor } from "./color.js";
+import { DEFAULT_CONFIG } from "./config.js";
+import { getModes } from "./grouping.js";
+
+/**
+ * Contrast audit
+ *
+ * Pairs semantic tokens that are meant to be used together, in every mode:
+ *
+ *   text-<key> / icon-<key>  on  surface-<key>
+ *
+ * plus the pairs listed in `config.contrastPairs` (foreground -> backgrounds).
+ * Each token is resolved through its var() chain the way the cascade does it:
+ * the mode's own tokens, then the default mode, then the primitives.
+ * Translucent backgrounds are composited over the mode's `surface-background`
+ * (or white) and translucent foregrounds over the background.
+ *
+ * Text needs a WCAG 2.x contrast ratio of 4.5:1 (AA) or 7:1 (AAA), icons 3:1
+ * (non-text contrast). With `config.apca` the APCA lightness contrast is checked
+ * as well: Lc 60 for text, Lc 45 for icons.
+ */
+
+const REQUIRED_RATIO = {
+  AA: { text: 4.5, icon: 3 },
+  AAA: { text: 7, icon: 3 },
+};
+
+const REQUIRED_APCA = { text: 60, icon: 45 };
+
+const WHITE = { r: 1, g: 1, b: 1, alpha: 1 };
+
+/**
+ * Check the contrast of every semantic color pair
+ *
+ * Returns `{ level, apca, pairs, failures, skipped }`: every checked pair, the
+ * failing ones, and the pairs whose tokens do not resolve to a color.
+ */
+function auditContrast(processed, config = DEFAULT_CONFIG) {
+  const modes = getModes(processed);
+  const defaultMode = processed.defaultMode || config.defaultMode;
+  const pairs = [];
+  const skipped = [];
+
+  for (const [mode, modeVariables] of Object.entries(modes)) {
+    const variables = { ...processed.primitives, ...modes[defaultMode], ...modeVariables };
+    const resolve = (name) => resolveColor(name, variables);
+    const base = resolve("surface-background") || WHITE;
+
+    for (const [foreground, background, kind] of getContrastPairs(variables, config)) {
+      const fg = resolve(foreground);
+      const bg = resolve(background);
+
+      if (!fg || !bg) {
+        skipped.push({ mode, foreground, background });
+        continue;
+      }
+
+      const backgroundColor = composite(bg, base);
+      const foregroundColor = composite(fg, backgroundColor);
+      const ratio = round(contrastRatio(foregroundColor, backgroundColor), 2);
+      const required = REQUIRED_RATIO[config.contrastLevel][kind];
+      const pair = { mode, kind, foreground, background, ratio, required, pass: ratio >= required };
+
+      if (config.apca) {
+        pair.apca = round(apcaContrast(foregroundColor, backgroundColor), 1);
+        pair.apcaRequired = REQUIRED_APCA[kind];
+        pair.pass = pair.pass && Math.abs(pair.apca) >= pair.apcaRequired;
+      }
+
+      pairs.push(pair);
+    }
+  }
+
+  return {
+    level: config.contrastLevel,
+    apca: config.apca,
+    pairs,
+    failures: pairs.filter((pair) => !pair.pass),
+    skipped,
+  };
+}
+
+/**
+ * List the [foreground, background, kind] pairs defined in a mode
+ */
+function getContrastPairs(variables, config = DEFAULT_CONFIG) {
+  const pairs = [];
+
+  for (const name of Object.keys(variables)) {
+    const match = name.match(/^(text|icon)-(.+)$/);
+    if (match && variables[`surface-${match[2]}`] !== undefined) {
+      pairs.push([name, `surface-${match[2]}`, match[1]]);
+    }
+  }
+
+  for (const [foreground, backgrounds] of Object.entries(config.contrastPairs)) {
+    if (variables[foreground] === undefined) continue;
+
+    const kind = foreground.startsWith("text-") ? "text" : "icon";
+    for (const background of backgrounds) {
+      if (!pairs.some(([fg, bg]) => fg === foreground && bg === background)) {
+        pairs.push([foreground, background, kind]);
+      }
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * Resolve a token to a color through its var() chain (null if it is not a color)
+ */
+function resolveColor(name, variables, seen = new Set()) {
+  if (seen.has(name) || variables[name] === undefined) return null;
+  seen.add(name);
+
+  const value = variables[name].trim();
+  const reference = value.match(/^var\(--([\w-]+)\s*(?:,\s*(.+))?\)$/);
+
+  if (reference) {
+    const resolved = resolveColor(reference[1], variables, seen);
+    return resolved || (reference[2] ? parseColor(reference[2].trim()) : null);
+  }
+
+  return parseColor(value);
+}
+
+/**
+ * Composite a translucent color over an opaque one
+ */
+function composite(color, background) {
+  if (color.alpha >= 1) return color;
+
+  const mix = (channel) => color[channel] * color.alpha + background[channel] * (1 - color.alpha);
+  return { r: mix("r"), g: mix("g"), b: mix("b"), alpha: 1 };
+}
+
+/**
+ * WCAG 2.x relative luminance
+ */
+function relativeLuminance({ r, g, b }) {
+  const linear = (channel) => (channel <= 0.04045 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4);
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+/**
+ * WCAG 2.x contrast ratio (1 to 21)
+ */
+function contrastRatio(foreground, background) {
+  const [lighter, darker] = [relativeLuminance(foreground), relativeLuminance(background)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * APCA lightness contrast (Lc, APCA-W3 0.0.98G); negative for light text on dark backgrounds
+ */
+function apcaContrast(text, background) {
+  const luminance = ({ r, g, b }) => {
+    const y = 0.2126729 * r ** 2.4 + 0.7151522 * g ** 2.4 + 0.072175 * b ** 2.4;
+    // Soft clamp near black
+    return y > 0.022 ? y : y + (0.022 - y) ** 1.414;
+  };
+
+  const textY = luminance(text);
+  const backgroundY = luminance(background);
+  if (Math.abs(backgroundY - textY) < 0.0005) return 0;
+
+  if (backgroundY > textY) {
+    const sapc = (backgroundY ** 0.56 - textY ** 0.57) * 1.14;
+    return sapc < 0.1 ? 0 : (sapc - 0.027) * 100;
+  }
+
+  const sapc = (backgroundY ** 0.65 - textY ** 0.62) * 1.14;
+  return sapc > -0.1 ? 0 : (sapc + 0.027) * 100;
+}
+
+function round(value, decimals) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+/**
+ * Format an audit as a plain text table of the failing pairs
+ */
+function formatAuditText(audit) {
+  const standard = `WCAG ${audit.level}${audit.apca ? " and APCA" : ""}`;
+  const lines = [];
+
+  if (audit.failures.length > 0) {
+    const header = ["Mode", "Foreground", "Background", "Ratio", "Required"];
+    if (audit.apca) header.push("Lc", "Required Lc");
+
+    const rows = audit.failures.map((pair) => {
+      const row = [pair.mode, `--${pair.foreground}`, `--${pair.background}`, `${pair.ratio}:1`, `${pair.required}:1`];
+      if (audit.apca) row.push(String(pair.apca), String(pair.apcaRequired));
+      return row;
+    });
+
+    const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => row[i].length)));
+    const format = (row) => row.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd();
+
+    lines.push(format(header), format(widths.map((width) => "-".repeat(width))), ...rows.map(format), "");
+    lines.push(`${audit.failures.length} of ${audit.pairs.length} pairs fail ${standard}`);
+  } else {
+    lines.push(`All ${audit.pairs.length} pairs pass ${standard}`);
+  }
+
+  if (audit.skipped.length > 0) {
+    lines.push(`${audit.skipped.length} pairs skipped (not resolved to a color)`);
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Format an audit as JSON
+ */
+function formatAuditJSON(audit) {
+  const summary = { pairs: audit.pairs.length, failures: audit.failures.length, skipped: audit.skipped.length };
+  return JSON.stringify({ level: audit.level, apca: audit.apca, summary, ...audit }, null, 2) + "\n";
+}
+
+// Report formats of the audit command
+const AUDIT_FORMATS = {
+  text: formatAuditText,
+  json: formatAuditJSON,
+};
+
+export {
+  AUDIT_FORMATS,
+  apcaContrast,
+  auditContrast,
+  contrastRatio,
+  formatAuditJSON,
+  formatAuditText,
+  getContrastPairs,
+  resolveColor,
+};
@@ -0,0 +1,173 @@
+import { InputError } from "./errors.js";
+
+/**
+ * CSS custom property parser
+ *
+ * A small tokenizer-based parser that understands just enough CSS for Figma
+ * exports and hand-edited token files: comments, quoted strings (so `;` or `}`
+ * inside a value are kept), nested parentheses, selectors and at-rules.
+ *
+ * Every custom property declaration is returned with its source line and the
+ * selector / at-rule context it was found in, e.g.
+ *
+ *   { name: "color-primary-500", value: "#253fe4", line: 8, context: [":root"] }
+ */
+
+/**
+ * Split CSS into tokens of { type, value, line }
+ *
+ * Types: comment, string, whitespace, "{", "}", ";", ":", "(", ")" and text
+ * (any other run of characters).
+ */
+function tokenize(css) {
+  const tokens = [];
+  let line = 1;
+  let i = 0;
+
+  const push = (type, value) => {
+    tokens.push({ type, value, line });
+    line += (value.match(/\n/g) || []).length;
+  };
+
+  while (i < css.length) {
+    const char = css[i];
+
+    if (char === "/" && css[i + 1] === "*") {
+      const end = css.indexOf("*/", i + 2);
+      if (end === -1) {
+        throw new InputError(`Unterminated comment on line ${line}`);
+      }
+      push("comment", css.slice(i, end + 2));
+      i = end + 2;
+    } else if (char === '"' || char === "'") {
+      let end = i + 1;
+      while (end < css.length && css[end] !== char) {
+        if (css[end] === "\n") {
+          throw new InputError(`Unterminated string on line ${line}`);
+        }
+        end += css[end] === "\\" ? 2 : 1;
+      }
+      if (end >= css.length) {
+        throw new InputError(`Unterminated string on line ${line}`);
+      }
+      push("string", css.slice(i, end + 1));
+      i = end + 1;
+    } else if (/\s/.test(char)) {
+      let end = i;
+      while (end < css.length && /\s/.test(css[end])) end++;
+      push("whitespace", css.slice(i, end));
+      i = end;
+    } else if ("{};:()".includes(char)) {
+      push(char, char);
+      i++;
+    } else {
+      let end = i;
+      while (end < css.length && !/[\s{};:()"']/.test(css[end]) && !(css[end] === "/" && css[end + 1] === "*")) {
+        end += css[end] === "\\" ? 2 : 1;
+      }
+      push("text", css.slice(i, end));
+      i = end;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse every custom property declaration
+ */
+function parseCustomProperties(css) {
+  const declarations = [];
+  const context = [];
+  let statement = [];
+  let depth = 0;
+
+  const flush = () => {
+    const declaration = toDeclaration(statement, context);
+    if (declaration) declarations.push(declaration);
+    statement = [];
+  };
+
+  for (const token of tokenize(css)) {
+    if (token.type === "comment") continue;
+
+    // Inside parentheses everything belongs to the value
+    if (depth > 0 || token.type === "(" || token.type === ")") {
+      if (token.type === "(") depth++;
+      if (token.type === ")") depth = Math.max(0, depth - 1);
+      statement.push(token);
+      continue;
+    }
+
+    if (token.type === "{") {
+      context.push(joinTokens(statement).trim());
+      statement = [];
+    } else if (token.type === "}") {
+      if (context.length === 0) {
+        throw new InputError(`Unexpected "}" on line ${token.line}`);
+      }
+      flush();
+      context.pop();
+    } else if (token.type === ";") {
+      flush();
+    } else {
+      statement.push(token);
+    }
+  }
+
+  if (context.length > 0) {
+    throw new InputError(`Unclosed block "${context.at(-1)}" at the end of the input`);
+  }
+  flush();
+
+  return declarations;
+}
+
+/**
+ * Turn the tokens of a statement into a custom property declaration, if it is one
+ */
+function toDeclaration(tokens, context) {
+  const start = tokens.findIndex((token) => token.type !== "whitespace");
+  if (start === -1 || tokens[start].type !== "text" || !tokens[start].value.startsWith("--")) {
+    return null;
+  }
+
+  const colon = tokens.findIndex((token) => token.type === ":");
+  if (colon === -1) return null;
+
+  return {
+    name: joinTokens(tokens.slice(start, colon)).trim().slice(2),
+    value: joinTokens(tokens.slice(colon + 1)).trim(),
+    line: tokens[start].line,
+    context: [...context],
+  };
+}
+
+function joinTokens(tokens) {
+  return tokens.map((token) => token.value).join("");
+}
+
+/**
+ * Find declarations that redefine a variable with a different value
+ *
+ * Returns { name, first, duplicate } pairs of declarations; identical repeats
+ * are not conflicts.
+ */
+function findConflicts(declarations) {
+  const first = new Map();
+  const conflicts = [];
+
+  for (const declaration of declarations) {
+    const previous = first.get(declaration.name);
+
+    if (!previous) {
+      first.set(declaration.name, declaration);
+    } else if (previous.value !== declaration.value) {
+      conflicts.push({ name: declaration.name, first: previous, duplicate: declaration });
+    }
+  }
+
+  return conflicts;
+}
+
+export { findConflicts, parseCustomProperties, tokenize };
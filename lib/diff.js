@@ -0,0 +1,213 @@
+import { DEFAULT_CONFIG } from "./config.js";
+import { getModes, groupModeVariables, groupPrimitives } from "./grouping.js";
+
+/**
+ * Token changes between two processed results
+ *
+ * Tokens are keyed by custom property name; semantic tokens are tracked per mode
+ * (`--surface-background (dark)`) so a value that only changes in one mode is
+ * reported once. A removed and an added token with the same value in the same
+ * mode count as a rename, and references to renamed tokens do not count as a
+ * value change.
+ *
+ * Every entry has `token` (display key), `name`, `mode` (null for primitives)
+ * and `group`, plus:
+ *
+ *   added / removed: value
+ *   renamed:         previousName, previousToken, value
+ *   changed:         from, to
+ */
+
+const CHANGE_TYPES = ["added", "removed", "renamed", "changed"];
+
+/**
+ * Flatten processed variables into a map of token key -> { name, mode, group, value }
+ */
+function flattenTokens(processed, config = DEFAULT_CONFIG) {
+  const tokens = new Map();
+  const add = (name, mode, group, value) => {
+    tokens.set(mode ? `--${name} (${mode})` : `--${name}`, { name, mode, group, value });
+  };
+
+  const { groups, ungrouped } = groupPrimitives(processed.primitives, config);
+  for (const [group, entries] of groups) {
+    for (const [name, value] of entries) add(name, null, group, value);
+  }
+  for (const name of ungrouped) add(name, null, "other", processed.primitives[name]);
+
+  for (const [mode, variables] of Object.entries(getModes(processed))) {
+    for (const [group, entries] of groupModeVariables(variables, config)) {
+      for (const [name, value] of entries) add(name, mode, group, value);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Compare two processed results
+ *
+ * Returns `{ added, removed, renamed, changed }` in token order.
+ */
+function diffTokens(previous, next, config = DEFAULT_CONFIG) {
+  const before = flattenTokens(previous, config);
+  const after = flattenTokens(next, config);
+
+  const added = [...after].filter(([token]) => !before.has(token));
+  const removed = [...before].filter(([token]) => !after.has(token));
+
+  // Pair removed and added tokens with the same value, preferring the same group
+  const renamed = [];
+  const renames = new Map();
+
+  for (const [previousToken, entry] of removed) {
+    const candidates = added.filter(
+      ([, candidate]) => candidate.mode === entry.mode && candidate.value === entry.value && !candidate.renamed,
+    );
+    const match = candidates.find(([, candidate]) => candidate.group === entry.group) || candidates[0];
+    if (!match) continue;
+
+    const [token, candidate] = match;
+    candidate.renamed = entry.renamed = true;
+    renames.set(entry.name, candidate.name);
+    renamed.push({ token, ...toEntry(candidate), previousName: entry.name, previousToken, value: entry.value });
+  }
+
+  const changed = [];
+  for (const [token, entry] of after) {
+    if (!before.has(token)) continue;
+
+    const from = before.get(token).value;
+    const renamedFrom = from.replace(/var\(--([\w-]+)/g, (match, name) => `var(--${renames.get(name) || name}`);
+    if (renamedFrom !== entry.value) {
+      changed.push({ token, ...toEntry(entry), from, to: entry.value });
+    }
+  }
+
+  return {
+    added: added.filter(([, entry]) => !entry.renamed).map(([token, entry]) => ({ token, ...toEntry(entry) })),
+    removed: removed.filter(([, entry]) => !entry.renamed).map(([token, entry]) => ({ token, ...toEntry(entry) })),
+    renamed,
+    changed,
+  };
+}
+
+function toEntry({ name, mode, group, value }) {
+  return { name, mode, group, value };
+}
+
+/**
+ * Count the entries of each change type
+ */
+function summarizeDiff(diff) {
+  return Object.fromEntries(CHANGE_TYPES.map((type) => [type, diff[type].length]));
+}
+
+/**
+ * Collect the entries of a diff per group, in order of first appearance
+ */
+function groupDiff(diff) {
+  const groups = new Map();
+
+  for (const type of CHANGE_TYPES) {
+    for (const entry of diff[type]) {
+      if (!groups.has(entry.group)) groups.set(entry.group, []);
+      groups.get(entry.group).push({ type, ...entry });
+    }
+  }
+
+  return groups;
+}
+
+function formatSummary(diff) {
+  return CHANGE_TYPES.map((type) => `${diff[type].length} ${type}`).join(", ");
+}
+
+/**
+ * Format a diff as plain text
+ */
+function formatDiffText(diff) {
+  const lines = [];
+
+  for (const [group, entries] of groupDiff(diff)) {
+    lines.push(group);
+
+    for (const entry of entries) {
+      const mode = entry.mode ? ` (${entry.mode})` : "";
+
+      if (entry.type === "added") lines.push(`  + --${entry.name}${mode}: ${entry.value}`);
+      if (entry.type === "removed") lines.push(`  - --${entry.name}${mode}: ${entry.value}`);
+      if (entry.type === "renamed") lines.push(`  > --${entry.previousName} -> --${entry.name}${mode}: ${entry.value}`);
+      if (entry.type === "changed") lines.push(`  ~ --${entry.name}${mode}: ${entry.from} -> ${entry.to}`);
+    }
+
+    lines.push("");
+  }
+
+  lines.push(lines.length === 0 ? "No token changes" : formatSummary(diff));
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Format a diff as Markdown (e.g. for pull request comments)
+ */
+function formatDiffMarkdown(diff) {
+  let output = "## Token changes\n\n";
+
+  const groups = groupDiff(diff);
+  if (groups.size === 0) {
+    return output + "No token changes.\n";
+  }
+
+  output += `${formatSummary(diff)}\n`;
+
+  const code = (value) => `\`${value.replace(/\|/g, "\\|")}\``;
+
+  for (const [group, entries] of groups) {
+    output += `\n### ${group}\n\n`;
+    output += "| Change | Token | Mode | Before | After |\n";
+    output += "| --- | --- | --- | --- | --- |\n";
+
+    for (const entry of entries) {
+      const mode = entry.mode || "";
+
+      if (entry.type === "added") {
+        output += `| Added | ${code(`--${entry.name}`)} | ${mode} | | ${code(entry.value)} |\n`;
+      } else if (entry.type === "removed") {
+        output += `| Removed | ${code(`--${entry.name}`)} | ${mode} | ${code(entry.value)} | |\n`;
+      } else if (entry.type === "renamed") {
+        const token = `${code(`--${entry.previousName}`)} → ${code(`--${entry.name}`)}`;
+        output += `| Renamed | ${token} | ${mode} | ${code(entry.value)} | ${code(entry.value)} |\n`;
+      } else {
+        output += `| Changed | ${code(`--${entry.name}`)} | ${mode} | ${code(entry.from)} | ${code(entry.to)} |\n`;
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Format a diff as JSON
+ */
+function formatDiffJSON(diff) {
+  return JSON.stringify({ summary: summarizeDiff(diff), ...diff }, null, 2) + "\n";
+}
+
+// Report formats of the diff command
+const DIFF_FORMATS = {
+  text: formatDiffText,
+  markdown: formatDiffMarkdown,
+  json: formatDiffJSON,
+};
+
+export {
+  DIFF_FORMATS,
+  diffTokens,
+  flattenTokens,
+  formatDiffJSON,
+  formatDiffMarkdown,
+  formatDiffText,
+  summarizeDiff,
+};
@@ -0,0 +1,228 @@
+import { parseColor } from "./color.js";
+import { DEFAULT_CONFIG } from "./config.js";
+import { getModes, groupModeVariables, groupPrimitives } from "./grouping.js";
+
+/**
+ * Token documentation page
+ *
+ * Renders the processed tokens as a self-contained HTML page (no external
+ * assets), for component docs and design reviews:
+ *
+ * - color palettes as swatches, in the order of the CSS output
+ * - spacing, radii and border scales drawn to size
+ * - font-size steps at their min and max viewport size
+ * - semantic tokens side by side in every mode, with the primitive they resolve to
+ *
+ * The generated CSS is embedded so the previews use the real custom properties.
+ */
+
+// Scales drawn to size: group -> how a token is previewed
+const SCALE_PREVIEWS = {
+  spacing: (name) => `<span class="bar" style="width: var(--${name})"></span>`,
+  radii: (name) => `<span class="box" style="border-radius: var(--${name})"></span>`,
+  border: (name) => `<span class="box" style="border: var(--${name}) solid currentColor"></span>`,
+};
+
+const PAGE_STYLES = `
+    body { margin: 0; padding: 2rem; font: 14px/1.5 system-ui, sans-serif; color: #1a1a1a; background: #fff; }
+    h1 { margin-top: 0; }
+    h2 { margin-top: 3rem; border-bottom: 1px solid #ddd; padding-bottom: 0.25rem; }
+    h3 { margin: 1.5rem 0 0.5rem; font-size: 1rem; }
+    code { font: 12px/1.4 ui-monospace, monospace; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { padding: 0.5rem; border-bottom: 1px solid #eee; text-align: left; vertical-align: middle; }
+    .swatches { display: grid; grid-template-columns: repeat(auto-fill, minmax(8rem, 1fr)); gap: 1rem; }
+    .swatch { display: block; height: 3rem; border-radius: 4px; box-shadow: inset 0 0 0 1px rgb(0 0 0 / 0.1); }
+    .chip { display: inline-block; width: 1.5rem; height: 1.5rem; margin-right: 0.5rem; vertical-align: middle; border-radius: 4px; box-shadow: inset 0 0 0 1px rgb(0 0 0 / 0.1); }
+    .bar { display: block; height: 1rem; background: #4f6bed; }
+    .box { display: block; width: 3rem; height: 3rem; background: #e8ecfd; }
+    .sample { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; max-width: 40vw; }`;
+
+/**
+ * Generate the documentation page
+ *
+ * `css` is the generated CSS of the tokens, embedded for the previews.
+ */
+function generateDocs(processed, css, config = DEFAULT_CONFIG) {
+  const { groups } = groupPrimitives(processed.primitives, config);
+  const sections = [
+    formatColors(groups),
+    formatScales(groups),
+    formatFontSizes(groups, config),
+    formatSemanticTokens(processed, config),
+  ].filter(Boolean);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Design tokens</title>
+  <style>${PAGE_STYLES}
+  </style>
+  <style>
+${css.replace(/<\/style/gi, "<\\/style")}
+  </style>
+</head>
+<body>
+  <h1>Design tokens</h1>
+${sections.join("\n")}
+</body>
+</html>
+`;
+}
+
+/**
+ * Color palettes as swatches
+ */
+function formatColors(groups) {
+  const palettes = groups.filter(([group]) => group.startsWith("color-"));
+  if (palettes.length === 0) return "";
+
+  let output = "  <h2>Colors</h2>\n";
+  for (const [group, entries] of palettes) {
+    output += `  <h3>${escapeHTML(group)}</h3>\n  <div class="swatches">\n`;
+    for (const [name, value] of entries) {
+      output += `    <div><span class="swatch" style="background: var(--${name})"></span>`;
+      output += `<code>--${escapeHTML(name)}</code><br><code>${escapeHTML(value)}</code></div>\n`;
+    }
+    output += "  </div>\n";
+  }
+
+  return output;
+}
+
+/**
+ * Spacing, radii and border scales drawn to size
+ */
+function formatScales(groups) {
+  const scales = groups.filter(([group]) => SCALE_PREVIEWS[group]);
+  if (scales.length === 0) return "";
+
+  let output = "  <h2>Scales</h2>\n";
+  for (const [group, entries] of scales) {
+    output += `  <h3>${escapeHTML(group)}</h3>\n  <table>\n`;
+    for (const [name, value] of entries) {
+      output += `    <tr><td><code>--${escapeHTML(name)}</code></td><td><code>${escapeHTML(value)}</code></td>`;
+      output += `<td>${SCALE_PREVIEWS[group](name)}</td></tr>\n`;
+    }
+    output += "  </table>\n";
+  }
+
+  return output;
+}
+
+/**
+ * Font-size steps at their min and max size
+ */
+function formatFontSizes(groups, config = DEFAULT_CONFIG) {
+  const [, entries] = groups.find(([group]) => group === "font-size") || [];
+  if (!entries) return "";
+
+  let output = "  <h2>Font sizes</h2>\n  <table>\n";
+  output += "    <tr><th>Token</th><th>Min viewport</th><th>Max viewport</th></tr>\n";
+
+  for (const [name, value] of entries) {
+    const [min, max] = getSizeRange(value);
+    output += `    <tr><td><code>--${escapeHTML(name)}</code></td>`;
+    for (const size of [min, max]) {
+      output += `<td><div class="sample" style="font-size: ${escapeHTML(size)}">The quick brown fox</div>`;
+      output += `<code>${escapeHTML(formatSize(size, config))}</code></td>`;
+    }
+    output += "</tr>\n";
+  }
+
+  return output + "  </table>\n";
+}
+
+/**
+ * Min and max of a clamp() value (the value itself for fixed sizes)
+ */
+function getSizeRange(value) {
+  const match = value.match(/^clamp\(\s*([^,]+),.+,\s*([^,]+)\)$/);
+  return match ? [match[1].trim(), match[2].trim()] : [value, value];
+}
+
+/**
+ * Show rem sizes with their px equivalent (e.g. "1.125rem (18px)")
+ */
+function formatSize(size, config = DEFAULT_CONFIG) {
+  const rem = size.match(/^(-?[\d.]+)rem$/);
+  return rem ? `${size} (${parseFloat((parseFloat(rem[1]) * config.rootFontSize).toFixed(2))}px)` : size;
+}
+
+/**
+ * Semantic tokens per category, one column per mode
+ */
+function formatSemanticTokens(processed, config = DEFAULT_CONFIG) {
+  const modes = getModes(processed);
+  const modeNames = Object.keys(modes).filter((mode) => Object.keys(modes[mode]).length > 0);
+  if (modeNames.length === 0) return "";
+
+  const defaultMode = processed.defaultMode || config.defaultMode;
+  const lookups = Object.fromEntries(
+    modeNames.map((mode) => [mode, { ...processed.primitives, ...modes[defaultMode], ...modes[mode] }]),
+  );
+  const names = new Set(modeNames.flatMap((mode) => Object.keys(modes[mode])));
+  const allVariables = Object.fromEntries([...names].map((name) => [name, ""]));
+
+  let output = "  <h2>Semantic tokens</h2>\n";
+  for (const [category, entries] of groupModeVariables(allVariables, config)) {
+    output += `  <h3>${escapeHTML(category)}</h3>\n  <table>\n`;
+    output += `    <tr><th>Token</th>${modeNames.map((mode) => `<th>${escapeHTML(mode)}</th>`).join("")}</tr>\n`;
+
+    for (const [name] of entries) {
+      output += `    <tr><td><code>--${escapeHTML(name)}</code></td>`;
+      for (const mode of modeNames) {
+        output += `<td>${formatResolvedToken(name, lookups[mode])}</td>`;
+      }
+      output += "</tr>\n";
+    }
+
+    output += "  </table>\n";
+  }
+
+  return output;
+}
+
+/**
+ * A semantic token's value in one mode: color chip, primitive and resolved value
+ */
+function formatResolvedToken(name, lookup) {
+  const { reference, value } = resolveToken(name, lookup);
+  if (value === undefined) return "";
+
+  const chip = parseColor(value) ? `<span class="chip" style="background: ${escapeHTML(value)}"></span>` : "";
+  const primitive = reference ? `<code>--${escapeHTML(reference)}</code><br>` : "";
+
+  return `${chip}${primitive}<code>${escapeHTML(value)}</code>`;
+}
+
+/**
+ * Follow a token's var() chain to its value and the last token referenced
+ */
+function resolveToken(name, lookup, seen = new Set()) {
+  const value = lookup[name];
+  if (value === undefined || seen.has(name)) return { reference: null, value };
+  seen.add(name);
+
+  const match = value.trim().match(/^var\(--([\w-]+)\s*(?:,\s*(.+))?\)$/);
+  if (!match) return { reference: null, value };
+
+  if (lookup[match[1]] === undefined) {
+    return { reference: null, value: match[2] ? match[2].trim() : value };
+  }
+
+  const resolved = resolveToken(match[1], lookup, seen);
+  return { reference: resolved.reference || match[1], value: resolved.value };
+}
+
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export { generateDocs, resolveToken };
@@ -0,0 +1,146 @@
+import { DEFAULT_CONFIG } from "./config.js";
+import { getModes, groupModeVariables, groupPrimitives } from "./grouping.js";
+
+/**
+ * DTCG token output
+ *
+ * Serialises processed variables as a W3C Design Tokens Community Group
+ * document (`.tokens.json`). Groups follow groupPrimitives/groupModeVariables:
+ * `color-primary-500` becomes `color.primary.500`, `spacing-4` becomes `spacing.4`
+ * and `surface-primary-default` becomes `surface.primary-default`.
+ *
+ * `var(--…)` references become `{group.token}` aliases. Semantic tokens take
+ * their `$value` from the default mode; when there are several modes, the value
+ * of every mode is listed under `$extensions["com.netzstrategen.figma-variables"].modes`.
+ */
+
+const EXTENSION_KEY = "com.netzstrategen.figma-variables";
+
+/**
+ * Generate the DTCG JSON document as a string
+ */
+function generateDTCG(processed, config = DEFAULT_CONFIG) {
+  return JSON.stringify(buildTokenTree(processed, config), null, 2) + "\n";
+}
+
+/**
+ * Build the nested DTCG token tree
+ */
+function buildTokenTree(processed, config = DEFAULT_CONFIG) {
+  const modes = getModes(processed);
+  const defaultMode = processed.defaultMode || config.defaultMode;
+  const modeNames = Object.keys(modes).filter((mode) => Object.keys(modes[mode]).length > 0);
+
+  // Collect every token with its path first so aliases can point forward
+  const entries = [];
+  const paths = new Map();
+
+  for (const [prefix, groupEntries] of groupPrimitives(processed.primitives, config).groups) {
+    for (const [name, value] of groupEntries) {
+      entries.push({ name, prefix, value });
+      paths.set(name, getTokenPath(name, prefix));
+    }
+  }
+
+  // Group the names defined in any mode
+  const semanticNames = new Set(modeNames.flatMap((mode) => Object.keys(modes[mode])));
+  const semanticVariables = Object.fromEntries([...semanticNames].map((name) => [name, null]));
+
+  for (const [prefix, groupEntries] of groupModeVariables(semanticVariables, config)) {
+    for (const [name] of groupEntries) {
+      const values = {};
+      for (const mode of modeNames) {
+        if (modes[mode][name] !== undefined) values[mode] = modes[mode][name];
+      }
+
+      entries.push({ name, prefix, value: values[defaultMode] ?? Object.values(values)[0], values });
+      paths.set(name, getTokenPath(name, prefix));
+    }
+  }
+
+  const types = new Map();
+  const tree = {};
+
+  for (const entry of entries) {
+    const token = toToken(entry.value, entry.prefix, paths, types);
+    types.set(entry.name, token.$type);
+
+    if (entry.values && modeNames.length > 1) {
+      const modeValues = {};
+      for (const [mode, value] of Object.entries(entry.values)) {
+        modeValues[mode] = toToken(value, entry.prefix, paths, types).$value;
+      }
+      token.$extensions = { [EXTENSION_KEY]: { modes: modeValues } };
+    }
+
+    setToken(tree, paths.get(entry.name), token);
+  }
+
+  return tree;
+}
+
+/**
+ * Get the token path of a variable inside its group
+ */
+function getTokenPath(name, prefix) {
+  const groupPath = prefix.startsWith("color-") ? ["color", prefix.slice("color-".length)] : [prefix];
+  const rest = name.slice(prefix.length + 1);
+
+  return rest ? [...groupPath, rest] : groupPath;
+}
+
+/**
+ * Convert a CSS value into a DTCG token
+ */
+function toToken(value, prefix, paths, types) {
+  const alias = value.match(/^var\(--([^)]+)\)$/);
+
+  if (alias && paths.has(alias[1])) {
+    const token = { $value: `{${paths.get(alias[1]).join(".")}}` };
+    const type = types.get(alias[1]);
+    return type ? { $type: type, ...token } : token;
+  }
+
+  if (isColor(value)) {
+    return { $type: "color", $value: value };
+  }
+
+  if (prefix === "font-family") {
+    return { $type: "fontFamily", $value: value.replace(/^["']|["']$/g, "") };
+  }
+
+  if (prefix === "font-weight" && /^\d+$/.test(value)) {
+    return { $type: "fontWeight", $value: parseInt(value) };
+  }
+
+  const dimension = value.match(/^(-?\d*\.?\d+)(px|rem)?$/);
+  if (dimension && (dimension[2] || parseFloat(dimension[1]) === 0)) {
+    return { $type: "dimension", $value: { value: parseFloat(dimension[1]), unit: dimension[2] || "px" } };
+  }
+
+  // Anything else (e.g. clamp()) is kept as a raw value without a type
+  return { $value: value };
+}
+
+/**
+ * Check whether a CSS value is a literal color
+ */
+function isColor(value) {
+  return /^#[0-9a-f]{3,8}$/i.test(value) || /^(rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\(.*\)$/i.test(value);
+}
+
+/**
+ * Set a token in the nested tree
+ */
+function setToken(tree, tokenPath, token) {
+  let node = tree;
+
+  for (const key of tokenPath.slice(0, -1)) {
+    node[key] = node[key] || {};
+    node = node[key];
+  }
+
+  node[tokenPath.at(-1)] = token;
+}
+
+export { generateDTCG, buildTokenTree, getTokenPath };
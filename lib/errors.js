@@ -0,0 +1,44 @@
+/**
+ * Error types
+ *
+ * Everything the transformer throws on purpose is a FigmaVariablesError, so
+ * callers can tell bad input or config apart from bugs. Each subclass has a
+ * stable `code`.
+ */
+
+class FigmaVariablesError extends Error {
+  code = "ERR_FIGMA_VARIABLES";
+
+  constructor(message, options) {
+    super(message, options);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * Invalid or missing config file or options
+ */
+class ConfigError extends FigmaVariablesError {
+  code = "ERR_CONFIG";
+}
+
+/**
+ * Input that cannot be read as Figma-export CSS or Figma Variables JSON
+ */
+class InputError extends FigmaVariablesError {
+  code = "ERR_INPUT";
+}
+
+/**
+ * Warnings found in strict mode; `warnings` holds every diagnostic
+ */
+class ValidationError extends FigmaVariablesError {
+  code = "ERR_VALIDATION";
+
+  constructor(message, warnings, options) {
+    super(message, options);
+    this.warnings = warnings;
+  }
+}
+
+export { ConfigError, FigmaVariablesError, InputError, ValidationError };
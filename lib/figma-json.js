@@ -0,0 +1,170 @@
+import { InputError } from "./errors.js";
+
+/**
+ * Figma Variables REST API input
+ *
+ * Converts the JSON returned by `GET /v1/files/:file_key/variables/local` (either the
+ * whole response or its `meta` object) into the CSS the Figma export produces, so both
+ * inputs run through the same parsing and processing:
+ *
+ * - Variable names: `color/primary/500` -> `--color-primary-500`
+ * - Collections with several modes: one variable per mode with a `-<mode>-mode` suffix
+ *   (`Light mode` or `Light` -> `--surface-background-light-mode`)
+ * - COLOR: `#rrggbb`, or `rgba(r g b / a)` when not opaque
+ * - FLOAT: px value plus a `-rem` twin (unitless for opacity and font-weight scopes)
+ * - STRING: quoted, BOOLEAN: `true` / `false`
+ * - VARIABLE_ALIAS: `var(--target)`
+ */
+
+const PIXELS_PER_REM = 16;
+
+// Scopes of FLOAT variables that are not dimensions
+const UNITLESS_SCOPES = ["OPACITY", "FONT_WEIGHT"];
+
+/**
+ * Check whether parsed JSON looks like a Figma Variables API response
+ */
+function isFigmaVariablesJSON(data) {
+  const meta = data && (data.meta || data);
+  return Boolean(meta && typeof meta.variables === "object" && typeof meta.variableCollections === "object");
+}
+
+/**
+ * Convert a Figma Variables API response into Figma-export CSS
+ */
+function figmaVariablesToCSS(data) {
+  if (!isFigmaVariablesJSON(data)) {
+    throw new InputError("Invalid Figma variables JSON: expected `variables` and `variableCollections` (in `meta`)");
+  }
+
+  const { variables, variableCollections } = data.meta || data;
+  const lines = [];
+
+  for (const collection of Object.values(variableCollections)) {
+    const collectionVariables = (collection.variableIds || [])
+      .map((id) => variables[id])
+      .filter((variable) => variable && !variable.deletedButReferenced);
+
+    if (collectionVariables.length === 0) continue;
+
+    lines.push("", `  /* ${collection.name.toUpperCase()} */`);
+
+    for (const variable of collectionVariables) {
+      const baseName = toCSSName(variable.name);
+
+      for (const mode of collection.modes) {
+        const name = collection.modes.length > 1 ? `${baseName}-${toModeSuffix(mode.name)}` : baseName;
+        const value = variable.valuesByMode[mode.modeId];
+
+        if (value === undefined) continue;
+
+        for (const [suffix, cssValue] of toCSSValues(variable, value, mode.modeId, collection, data.meta || data)) {
+          lines.push(`  --${name}${suffix}: ${cssValue};`);
+        }
+      }
+    }
+  }
+
+  return `:root {${lines.join("\n")}\n}\n`;
+}
+
+/**
+ * Convert a Figma name (`Color/Primary 500`) into a custom property name (`color-primary-500`)
+ */
+function toCSSName(name) {
+  return name
+    .trim()
+    .toLowerCase()
+    .replace(/\./g, "_")
+    .replace(/[\s/]+/g, "-")
+    .replace(/[^a-z0-9_-]/g, "");
+}
+
+/**
+ * Convert a Figma mode name into a variable suffix (`Light mode` and `Light` -> `light-mode`)
+ */
+function toModeSuffix(name) {
+  const suffix = toCSSName(name);
+  return /(^|-)mode$/.test(suffix) ? suffix : `${suffix}-mode`;
+}
+
+/**
+ * Convert a mode value into [suffix, value] declarations
+ */
+function toCSSValues(variable, value, modeId, collection, meta) {
+  if (value && value.type === "VARIABLE_ALIAS") {
+    return [["", `var(--${resolveAliasName(value.id, modeId, collection, meta)})`]];
+  }
+
+  switch (variable.resolvedType) {
+    case "COLOR":
+      return [["", toCSSColor(value)]];
+
+    case "FLOAT": {
+      const scopes = variable.scopes || [];
+      if (scopes.length > 0 && scopes.every((scope) => UNITLESS_SCOPES.includes(scope))) {
+        return [["", `${round(value)}`]];
+      }
+
+      const px = round(value);
+      return [
+        ["", `${px}px`],
+        ["-rem", `${round(px / PIXELS_PER_REM)}rem`],
+      ];
+    }
+
+    case "STRING":
+      return [["", JSON.stringify(value)]];
+
+    default:
+      return [["", `${value}`]];
+  }
+}
+
+/**
+ * Get the custom property name an alias points to
+ *
+ * Targets in a multi-mode collection use the same mode when they share the
+ * collection, and the target collection's default mode otherwise.
+ */
+function resolveAliasName(id, modeId, collection, meta) {
+  const target = meta.variables[id];
+
+  if (!target) {
+    throw new InputError(`Invalid Figma variables JSON: alias to unknown variable ${id}`);
+  }
+
+  const targetCollection = meta.variableCollections[target.variableCollectionId];
+  const name = toCSSName(target.name);
+
+  if (!targetCollection || targetCollection.modes.length < 2) {
+    return name;
+  }
+
+  const targetModeId = targetCollection.id === collection.id ? modeId : targetCollection.defaultModeId;
+  const targetMode = targetCollection.modes.find((mode) => mode.modeId === targetModeId) || targetCollection.modes[0];
+
+  return `${name}-${toModeSuffix(targetMode.name)}`;
+}
+
+/**
+ * Convert an RGBA color with 0-1 channels to hex or rgba()
+ */
+function toCSSColor({ r, g, b, a = 1 }) {
+  const channels = [r, g, b].map((channel) => Math.round(channel * 255));
+
+  if (a >= 1) {
+    return `#${channels.map((channel) => channel.toString(16).padStart(2, "0")).join("")}`;
+  }
+
+  return `rgba(${channels.join(" ")} / ${round(a)})`;
+}
+
+/**
+ * Round to four decimals, dropping float32 noise and trailing zeros
+ */
+function round(value) {
+  return Math.round((value + 1e-9) * 10000) / 10000;
+}
+
+export { figmaVariablesToCSS, isFigmaVariablesJSON, toCSSName, toCSSColor, toModeSuffix };
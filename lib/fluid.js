@@ -0,0 +1,372 @@
+import { DEFAULT_CONFIG } from "./config.js";
+import { parseCustomProperties } from "./css-parser.js";
+
+/**
+ * Fluid tokens
+ *
+ * Turns min/max variants into clamp() tokens that scale between
+ * `--viewport-min-width` and `--viewport-max-width`:
+ *
+ *   --font-size-min-step-0 / --font-size-max-step-0  -> --font-size-step-0
+ *   --spacing-min-s / --spacing-max-s                -> --spacing-s
+ *   --spacing-min-s-l / --spacing-max-s-l            -> --spacing-s-l
+ *
+ * for every family in `config.fluidFamilies`. `config.fluidPairs` adds
+ * Utopia-style space pairs from existing sizes (`spacing: ["s-l"]` scales from
+ * the min of `s` to the max of `l`).
+ *
+ * Sizes are paired by key, preferring the `-rem` twins and converting px when an
+ * export has none. Font sizes always become tokens: Figma exports negative steps
+ * without the minus sign, so the n-th declaration of a name is paired with the
+ * n-th declaration of its counterpart and steps are numbered by size around
+ * step 0, and a missing side falls back to a fixed size with a warning. Other
+ * families are only converted when both sides exist, so tokens such as
+ * `--container-max-width` on their own are left alone.
+ *
+ * Without exported font-size steps the scale is computed from the `type-*`
+ * settings of the export (a modular scale from `type-min-size` / `type-max-size`
+ * with `type-min-scale` / `type-max-scale` per step, `type-negative-steps` below
+ * and `type-positive-steps` above step 0). When both exist, exported steps that
+ * disagree with the declared scale are reported.
+ *
+ * `config.rootFontSize` sets the px per rem, `config.clampPrecision` the decimals
+ * of the preferred value and `config.fluidUnit` scales with the viewport (`vw`)
+ * or the nearest size container (`cqi`, `cqw`). Font sizes whose max is more
+ * than 2.5 times their min are reported: at 200% browser zoom such text cannot
+ * reach twice its default size, failing WCAG 1.4.4 (Resize Text).
+ */
+
+// Largest max / min ratio of a fluid font size that still passes WCAG 1.4.4
+const MAX_ZOOM_RATIO = 2.5;
+
+// Largest difference (rem) between an exported step and the declared type scale
+// that is still put down to rounding
+const TYPE_SCALE_TOLERANCE = 0.005;
+
+/**
+ * Build the clamp() tokens of all fluid families
+ *
+ * `originalCSS` is the exported CSS or its parsed declarations; with several
+ * input files, a name is only read from the first file that declares it.
+ * Returns `{ tokens, consumed }`: the new tokens and the names of the min/max
+ * variables they replace. Problems are added to `warnings`.
+ */
+function processFluidTokens(variables, originalCSS, config = DEFAULT_CONFIG, warnings = []) {
+  const parsed = Array.isArray(originalCSS) ? originalCSS : originalCSS && parseCustomProperties(originalCSS);
+  const declarations = keepFirstFile(parsed || Object.entries(variables).map(([name, value]) => ({ name, value })));
+
+  const viewport = getViewport(variables);
+  const typeScale = getTypeScale(variables);
+  const tokens = {};
+  const consumed = new Set();
+  let fixedSizes = false;
+
+  const addToken = (family, name, min, max) => {
+    if (viewport) {
+      tokens[name] = generateClamp(viewport.min, viewport.max, min, max, config);
+    } else {
+      tokens[name] = `${min}rem`;
+      fixedSizes = true;
+    }
+
+    if (family === "font-size" && config.wcagZoomCheck && max > min * MAX_ZOOM_RATIO) {
+      warnings.push({
+        code: "WCAG_ZOOM",
+        message: `--${name} grows from ${min}rem to ${max}rem (more than ${MAX_ZOOM_RATIO}x) and fails WCAG 1.4.4 when zoomed to 200%`,
+        variable: name,
+      });
+    }
+  };
+
+  for (const family of config.fluidFamilies) {
+    const pairs = collectPairs(declarations, family, config);
+    const fontSizes = family === "font-size";
+    const complete = (pair) => pair.min !== null && pair.max !== null;
+
+    let entries = fontSizes ? numberSteps(pairs) : pairs.filter((pair) => pair.occurrence === 0 && complete(pair));
+
+    if (fontSizes && typeScale) {
+      const scaleSteps = generateTypeScale(typeScale, config);
+
+      if (entries.length === 0) {
+        entries = scaleSteps;
+      } else {
+        warnings.push(...compareTypeScale(entries, scaleSteps));
+      }
+    }
+
+    for (const pair of entries) {
+      const name = `${family}-${pair.key}`;
+      pair.names.forEach((variable) => consumed.add(variable));
+
+      if (complete(pair)) {
+        addToken(family, name, pair.min, pair.max);
+        continue;
+      }
+
+      const [found, missing] = pair.min !== null ? ["min", "max"] : ["max", "min"];
+      tokens[name] = `${pair[found]}rem`;
+      warnings.push({
+        code: "UNPAIRED_FONT_SIZE",
+        message: `--${name} has a ${found} but no ${missing} size; using a fixed ${pair[found]}rem`,
+        variable: name,
+      });
+    }
+
+    // Utopia-style space pairs: min of the first size, max of the second
+    const sizes = new Map(pairs.filter((pair) => pair.occurrence === 0).map((pair) => [pair.key, pair]));
+
+    for (const spec of config.fluidPairs[family] || []) {
+      const [from, to] = splitPair(spec, sizes);
+
+      if (!from || from.min === null || to.max === null) {
+        warnings.push({
+          code: "UNKNOWN_FLUID_PAIR",
+          message: `fluidPairs.${family} "${spec}" does not name two ${family} sizes with min and max values`,
+          variable: `${family}-${spec}`,
+        });
+        continue;
+      }
+
+      addToken(family, `${family}-${spec}`, from.min, to.max);
+    }
+  }
+
+  if (fixedSizes) {
+    warnings.push({
+      code: "MISSING_VIEWPORT",
+      message: "--viewport-min-width or --viewport-max-width is missing; fluid tokens are fixed sizes instead of clamp()",
+    });
+  }
+
+  return { tokens, consumed };
+}
+
+/**
+ * Drop the declarations of a name from every file but the first one declaring it
+ *
+ * Repeats within that file are kept, so the first definition wins across inputs
+ * while the unsigned negative font-size steps are still told apart by occurrence.
+ */
+function keepFirstFile(declarations) {
+  const files = new Map();
+
+  return declarations.filter(({ name, file }) => {
+    if (!files.has(name)) files.set(name, file);
+    return files.get(name) === file;
+  });
+}
+
+/**
+ * Collect the min/max sizes of a family as { key, occurrence, min, max, names }
+ */
+function collectPairs(declarations, family, config = DEFAULT_CONFIG) {
+  const pattern = new RegExp(`^${family.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}-(min|max)-(.+?)(-rem)?$`);
+  const pairs = new Map();
+  const occurrences = new Map();
+
+  for (const { name, value } of declarations) {
+    const match = name.match(pattern);
+    if (!match) continue;
+
+    const [, side, key, rem] = match;
+    const occurrence = occurrences.get(name) || 0;
+    occurrences.set(name, occurrence + 1);
+
+    const size = toRem(value, config);
+    if (size === null) continue;
+
+    const id = `${key}:${occurrence}`;
+    if (!pairs.has(id)) {
+      pairs.set(id, { key, occurrence, min: null, max: null, names: [] });
+    }
+
+    // The -rem twin wins over the px value
+    const pair = pairs.get(id);
+    if (rem || pair[side] === null) {
+      pair[side] = size;
+    }
+    pair.names.push(name);
+  }
+
+  return [...pairs.values()];
+}
+
+/**
+ * Number font-size steps by size around step 0
+ *
+ * Steps smaller than step 0 become negative (`step--1`), the others keep their number.
+ */
+function numberSteps(pairs) {
+  const steps = pairs
+    .filter((pair) => /^step-\d+$/.test(pair.key))
+    .map((pair) => ({ ...pair, originalStep: parseInt(pair.key.slice("step-".length)), avgValue: pair.min ?? pair.max }));
+
+  // Remove exact duplicates
+  const uniqueSteps = [];
+  const seen = new Set();
+
+  for (const step of steps) {
+    const key = `${step.min}-${step.max}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      uniqueSteps.push(step);
+    } else {
+      uniqueSteps.find((unique) => `${unique.min}-${unique.max}` === key).names.push(...step.names);
+    }
+  }
+
+  // Sort by value (ascending)
+  uniqueSteps.sort((a, b) => a.avgValue - b.avgValue);
+
+  const step0Index = uniqueSteps.findIndex((step) => step.originalStep === 0);
+
+  return uniqueSteps.map((step, i) => {
+    let outputStep;
+
+    if (i < step0Index) {
+      // Steps below step-0 are negative
+      outputStep = i - step0Index;
+    } else if (i === step0Index) {
+      outputStep = 0;
+    } else {
+      // Steps above step-0 keep their original step number
+      outputStep = step.originalStep;
+    }
+
+    return { ...step, key: `step-${outputStep}` };
+  });
+}
+
+/**
+ * Split a pair spec ("s-l", "2xs-s") into two known sizes
+ */
+function splitPair(spec, sizes) {
+  const parts = spec.split("-");
+
+  for (let i = 1; i < parts.length; i++) {
+    const from = sizes.get(parts.slice(0, i).join("-"));
+    const to = sizes.get(parts.slice(i).join("-"));
+    if (from && to) return [from, to];
+  }
+
+  return [];
+}
+
+/**
+ * Compute the font-size steps of a modular type scale
+ *
+ * Sizes are rounded to 2 decimal px before the rem conversion, like the export.
+ */
+function generateTypeScale(scale, config = DEFAULT_CONFIG) {
+  const steps = [];
+
+  for (let step = -scale.negativeSteps; step <= scale.positiveSteps; step++) {
+    const min = round(scale.minSize * scale.minScale ** step, 2);
+    const max = round(scale.maxSize * scale.maxScale ** step, 2);
+    steps.push({ key: `step-${step}`, min: toRem(`${min}px`, config), max: toRem(`${max}px`, config), names: [] });
+  }
+
+  return steps;
+}
+
+/**
+ * Report exported font-size steps that disagree with the declared type scale
+ */
+function compareTypeScale(entries, scaleSteps) {
+  const expected = new Map(scaleSteps.map((step) => [step.key, step]));
+  const warnings = [];
+
+  for (const entry of entries) {
+    const name = `font-size-${entry.key}`;
+    const step = expected.get(entry.key);
+
+    if (!step) {
+      warnings.push({
+        code: "TYPE_SCALE_MISMATCH",
+        message: `--${name} is outside the declared type scale (${scaleSteps[0].key} to ${scaleSteps.at(-1).key})`,
+        variable: name,
+      });
+      continue;
+    }
+
+    const differs = (a, b) => a !== null && Math.abs(a - b) > TYPE_SCALE_TOLERANCE;
+    if (differs(entry.min, step.min) || differs(entry.max, step.max)) {
+      warnings.push({
+        code: "TYPE_SCALE_MISMATCH",
+        message: `--${name} is ${entry.min}rem–${entry.max}rem but the declared type scale gives ${step.min}rem–${step.max}rem`,
+        variable: name,
+      });
+    }
+  }
+
+  return warnings;
+}
+
+/**
+ * Read the `type-*` scale settings (null when incomplete or `type-active` is false)
+ */
+function getTypeScale(variables) {
+  if (variables["type-active"] === "false") return null;
+
+  const scale = {
+    minSize: readNumber(variables, "type-min-size"),
+    maxSize: readNumber(variables, "type-max-size"),
+    minScale: readNumber(variables, "type-min-scale"),
+    maxScale: readNumber(variables, "type-max-scale"),
+    positiveSteps: readNumber(variables, "type-positive-steps"),
+    negativeSteps: readNumber(variables, "type-negative-steps"),
+  };
+
+  return Object.values(scale).some((value) => value === null) ? null : scale;
+}
+
+function getViewport(variables) {
+  const min = readNumber(variables, "viewport-min-width");
+  const max = readNumber(variables, "viewport-max-width");
+
+  return min === null || max === null ? null : { min, max };
+}
+
+/**
+ * Read a numeric setting such as `"390"` (null when missing or not a number)
+ */
+function readNumber(variables, name) {
+  if (variables[name] === undefined) return null;
+
+  const value = parseFloat(variables[name].replace(/"/g, ""));
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Convert a size in rem or px to a rem number (null for other values)
+ */
+function toRem(value, config = DEFAULT_CONFIG) {
+  if (value === "0") return 0;
+
+  const match = value.match(/^(-?[\d.]+)(rem|px)$/);
+  if (!match) return null;
+
+  const size = parseFloat(match[1]);
+  return match[2] === "rem" ? size : round(size / config.rootFontSize, config.clampPrecision);
+}
+
+function round(value, precision) {
+  const factor = 10 ** precision;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Generate a clamp() that scales linearly between two viewport (or container) widths in px
+ */
+function generateClamp(minWidthPx, maxWidthPx, minFontSize, maxFontSize, config = DEFAULT_CONFIG) {
+  const { rootFontSize, clampPrecision, fluidUnit } = config;
+  const minWidth = minWidthPx / rootFontSize;
+  const maxWidth = maxWidthPx / rootFontSize;
+  const slope = (maxFontSize - minFontSize) / (maxWidth - minWidth);
+  const yAxisIntersection = -minWidth * slope + minFontSize;
+
+  return `clamp(${minFontSize}rem, ${yAxisIntersection.toFixed(clampPrecision)}rem + ${(slope * 100).toFixed(clampPrecision)}${fluidUnit}, ${maxFontSize}rem)`;
+}
+
+export { generateClamp, generateTypeScale, getTypeScale, processFluidTokens, toRem };
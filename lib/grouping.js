@@ -0,0 +1,267 @@
+import { DEFAULT_CONFIG } from "./config.js";
+
+/**
+ * Grouping and ordering of processed variables
+ *
+ * Shared by every output format so that CSS, token files and generated code
+ * list the same groups in the same order.
+ */
+
+/**
+ * Group primitives and sort each group
+ *
+ * Color groups are detected dynamically: known colors (config.colorOrder) come first
+ * in the defined order, then any new colors alphabetically, followed by the other
+ * groups (config.groupOrder). Returns the non-empty groups in output order and the
+ * names that did not match any group.
+ */
+function groupPrimitives(primitives, config = DEFAULT_CONFIG) {
+  const knownColorOrder = config.colorOrder;
+  const otherGroupsOrder = config.groupOrder;
+
+  // Initialize groups
+  const groups = {};
+  knownColorOrder.forEach((prefix) => (groups[prefix] = []));
+  otherGroupsOrder.forEach((prefix) => (groups[prefix] = []));
+
+  // Detect color groups dynamically
+  const detectedColorGroups = new Set();
+  for (const name of Object.keys(primitives)) {
+    const colorPrefix = getColorGroup(name);
+    if (colorPrefix) {
+      detectedColorGroups.add(colorPrefix);
+    }
+  }
+
+  // Add new color groups that aren't in the known list
+  const newColorGroups = [...detectedColorGroups]
+    .filter((g) => !knownColorOrder.includes(g))
+    .sort();
+
+  newColorGroups.forEach((prefix) => (groups[prefix] = []));
+
+  // Group primitives
+  const ungrouped = [];
+
+  for (const [name, value] of Object.entries(primitives)) {
+    let grouped = false;
+
+    // Try to match with color groups first
+    const colorPrefix = getColorGroup(name);
+    if (colorPrefix && groups[colorPrefix]) {
+      groups[colorPrefix].push([name, value]);
+      grouped = true;
+    }
+
+    // Try other groups
+    if (!grouped) {
+      for (const prefix of otherGroupsOrder) {
+        if (name.startsWith(prefix)) {
+          groups[prefix].push([name, value]);
+          grouped = true;
+          break;
+        }
+      }
+    }
+
+    if (!grouped) {
+      ungrouped.push(name);
+    }
+  }
+
+  // Create final group order: known colors + new colors + other groups
+  const finalGroupOrder = [...knownColorOrder, ...newColorGroups, ...otherGroupsOrder];
+  const ordered = [];
+
+  for (const prefix of finalGroupOrder) {
+    if (groups[prefix].length > 0) {
+      groups[prefix].sort((a, b) => sortVariables(a[0], b[0], prefix, config));
+      ordered.push([prefix, groups[prefix]]);
+    }
+  }
+
+  return { groups: ordered, ungrouped };
+}
+
+/**
+ * Get the color group of a variable name (e.g. color-primary-500 -> color-primary)
+ */
+function getColorGroup(name) {
+  const colorMatch = name.match(/^color-([a-z]+)/);
+  return colorMatch ? `color-${colorMatch[1]}` : null;
+}
+
+/**
+ * Group mode variables by category (config.modeOrder) and sort them semantically
+ *
+ * Returns the non-empty categories in output order.
+ */
+function groupModeVariables(modeVariables, config = DEFAULT_CONFIG) {
+  const prefixOrder = Object.keys(config.modeOrder);
+  const modeGroups = {};
+  prefixOrder.forEach((prefix) => (modeGroups[prefix] = []));
+
+  for (const [name, value] of Object.entries(modeVariables)) {
+    for (const prefix of prefixOrder) {
+      if (name.startsWith(prefix)) {
+        modeGroups[prefix].push([name, value]);
+        break;
+      }
+    }
+  }
+
+  const ordered = [];
+
+  for (const prefix of prefixOrder) {
+    if (modeGroups[prefix].length > 0) {
+      // Sort by semantic order, not alphabetically
+      modeGroups[prefix].sort((a, b) => sortModeVariables(a[0], b[0], config));
+      ordered.push([prefix, modeGroups[prefix]]);
+    }
+  }
+
+  return ordered;
+}
+
+/**
+ * Get the modes of a processed result
+ *
+ * Falls back to lightMode/darkMode for results built without `modes`.
+ */
+function getModes(processed) {
+  if (processed.modes) {
+    return processed.modes;
+  }
+
+  return { light: processed.lightMode || {}, dark: processed.darkMode || {} };
+}
+
+/**
+ * Sort variables intelligently
+ */
+function sortVariables(a, b, prefix, config = DEFAULT_CONFIG) {
+  // Special handling for named size scales (e.g. radii, border)
+  const sizeOrder = config.sizeOrder[prefix];
+  if (sizeOrder) {
+    const aIndex = sizeOrder.indexOf(a.replace(`${prefix}-`, ""));
+    const bIndex = sizeOrder.indexOf(b.replace(`${prefix}-`, ""));
+    if (aIndex !== -1 && bIndex !== -1) {
+      return aIndex - bIndex;
+    }
+  }
+
+  // Special handling for font-size steps
+  if (prefix === "font-size" && a.includes("step-") && b.includes("step-")) {
+    const aStep = parseInt(a.match(/step-(-?\d+)/)[1]);
+    const bStep = parseInt(b.match(/step-(-?\d+)/)[1]);
+    return bStep - aStep; // Descending order
+  }
+
+  // Extract numeric parts for color scales (50-950)
+  const aMatch = a.match(/-(\d+)$/);
+  const bMatch = b.match(/-(\d+)$/);
+
+  if (aMatch && bMatch) {
+    const aNum = parseInt(aMatch[1]);
+    const bNum = parseInt(bMatch[1]);
+    return aNum - bNum; // Ascending order for colors
+  }
+
+  // For spacing and size, sort by numeric value
+  if (prefix === "spacing" || prefix === "size") {
+    // spacing-px should come first
+    if (a === "spacing-px") return -1;
+    if (b === "spacing-px") return 1;
+
+    const aMatch = a.match(/(\d+)(_\d+)?$/);
+    const bMatch = b.match(/(\d+)(_\d+)?$/);
+
+    if (aMatch && bMatch) {
+      const aNum = parseFloat(aMatch[0].replace("_", "."));
+      const bNum = parseFloat(bMatch[0].replace("_", "."));
+      return aNum - bNum;
+    }
+  }
+
+  return a.localeCompare(b);
+}
+
+/**
+ * Sort mode variables by semantic meaning
+ *
+ * This function maintains a preferred order for known variables while automatically
+ * handling new variables. Variables follow the pattern: xxx-default, xxx-hover, xxx-active
+ *
+ * Behavior:
+ * 1. Known variables appear in the defined order
+ * 2. Unknown variables are added alphabetically after known ones
+ * 3. Variables with -default, -hover, -active suffixes are automatically grouped:
+ *    - xxx or xxx-default (first)
+ *    - xxx-hover (second)
+ *    - xxx-active (third)
+ *
+ * Examples:
+ *   If you add --surface-brand, --surface-brand-hover, --surface-brand-active
+ *   They will automatically appear together in that order after the known variables
+ */
+function sortModeVariables(a, b, config = DEFAULT_CONFIG) {
+  // Semantic order for known variables in each category comes from config.modeOrder
+  // New variables will be added alphabetically after these
+  const categoryOrder = config.modeOrder;
+
+  // Determine category
+  let category = null;
+  for (const cat in categoryOrder) {
+    if (a.startsWith(cat)) {
+      category = cat;
+      break;
+    }
+  }
+
+  if (!category) {
+    return a.localeCompare(b);
+  }
+
+  const aSuffix = a.replace(category + "-", "");
+  const bSuffix = b.replace(category + "-", "");
+
+  const aIndex = categoryOrder[category].indexOf(aSuffix);
+  const bIndex = categoryOrder[category].indexOf(bSuffix);
+
+  // Both are in the known list
+  if (aIndex !== -1 && bIndex !== -1) {
+    return aIndex - bIndex;
+  }
+
+  // Only 'a' is in the known list (a comes first)
+  if (aIndex !== -1) return -1;
+
+  // Only 'b' is in the known list (b comes first)
+  if (bIndex !== -1) return 1;
+
+  // Neither are in the known list - sort by semantic groups (default, hover, active)
+  // Extract base name and state
+  const aMatch = aSuffix.match(/^(.+?)(?:-(default|hover|active))?$/);
+  const bMatch = bSuffix.match(/^(.+?)(?:-(default|hover|active))?$/);
+
+  if (aMatch && bMatch) {
+    const aBase = aMatch[1];
+    const bBase = bMatch[1];
+    const aState = aMatch[2] || "default"; // If no state, treat as default
+    const bState = bMatch[2] || "default";
+
+    // Same base name - sort by state (default, hover, active)
+    if (aBase === bBase) {
+      const stateOrder = { default: 0, hover: 1, active: 2 };
+      return (stateOrder[aState] || 3) - (stateOrder[bState] || 3);
+    }
+
+    // Different base names - sort alphabetically
+    return aBase.localeCompare(bBase);
+  }
+
+  // Fallback to alphabetical
+  return aSuffix.localeCompare(bSuffix);
+}
+
+export { getColorGroup, getModes, groupModeVariables, groupPrimitives, sortModeVariables, sortVariables };
@@ -0,0 +1,107 @@
+import fs from "fs";
+import path from "path";
+import { InputError } from "./errors.js";
+
+/**
+ * Input file lists
+ *
+ * Figma exports one file per collection (primitives, styleguide, typography…).
+ * The CLI accepts several input paths and glob patterns; patterns are expanded
+ * here (Node 20 has no fs.glob) into a sorted, de-duplicated list so the merge
+ * order does not depend on the file system.
+ *
+ * Supported patterns: `*` and `?` within a path segment, `**` for any number of
+ * directories. Quote patterns so the shell does not expand them instead.
+ */
+
+/**
+ * Expand input paths and glob patterns in order, leaving out `exclude` (the output path)
+ */
+function resolveInputs(patterns, { cwd = process.cwd(), exclude = [] } = {}) {
+  const excluded = new Set(exclude.map((file) => path.resolve(cwd, file)));
+  const files = [];
+
+  for (const pattern of patterns) {
+    if (!isGlob(pattern)) {
+      if (excluded.has(path.resolve(cwd, pattern))) {
+        throw new InputError(`${pattern} is both an input and the output`);
+      }
+      files.push(pattern);
+      continue;
+    }
+
+    const matches = expandGlob(pattern, cwd).filter((file) => !excluded.has(path.resolve(cwd, file)));
+    if (matches.length === 0) {
+      throw new InputError(`No input files match ${pattern}`);
+    }
+    files.push(...matches);
+  }
+
+  return [...new Set(files)];
+}
+
+function isGlob(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+/**
+ * List the files matching a glob pattern, sorted (paths relative like the pattern)
+ */
+function expandGlob(pattern, cwd = process.cwd()) {
+  const segments = pattern.split(/[\\/]/);
+  const firstGlob = segments.findIndex(isGlob);
+  const base = segments.slice(0, firstGlob).join("/") || (path.isAbsolute(pattern) ? "/" : ".");
+  const matchers = segments.slice(firstGlob).map((segment) => (segment === "**" ? segment : toRegExp(segment)));
+  const matches = [];
+
+  const walk = (dir, index) => {
+    if (index === matchers.length) return;
+
+    const matcher = matchers[index];
+    const absolute = path.resolve(cwd, dir);
+    if (!fs.existsSync(absolute) || !fs.statSync(absolute).isDirectory()) return;
+
+    if (matcher === "**") {
+      // Zero directories, or one more and try again
+      walk(dir, index + 1);
+      for (const entry of fs.readdirSync(absolute, { withFileTypes: true })) {
+        if (entry.isDirectory() && !entry.name.startsWith(".")) walk(join(dir, entry.name), index);
+      }
+      return;
+    }
+
+    for (const entry of fs.readdirSync(absolute, { withFileTypes: true })) {
+      if (!matcher.test(entry.name)) continue;
+
+      const entryPath = join(dir, entry.name);
+      if (index === matchers.length - 1) {
+        if (entry.isFile()) matches.push(entryPath);
+      } else if (entry.isDirectory()) {
+        walk(entryPath, index + 1);
+      }
+    }
+  };
+
+  walk(base, 0);
+
+  return [...new Set(matches)].sort();
+}
+
+function join(dir, name) {
+  return dir === "." ? name : dir === "/" ? `/${name}` : `${dir}/${name}`;
+}
+
+/**
+ * Convert a path segment with * and ? to a regular expression
+ */
+function toRegExp(segment) {
+  const source = segment
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, "[^/]*")
+    .replace(/\?/g, "[^/]");
+
+  // Like shells, wildcards do not match hidden files
+  return new RegExp(`^${segment.startsWith(".") ? "" : "(?!\\.)"}${source}$`);
+}
+
+export { expandGlob, resolveInputs };
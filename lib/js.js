@@ -0,0 +1,130 @@
+import { DEFAULT_CONFIG } from "./config.js";
+import { getModes, groupModeVariables, groupPrimitives } from "./grouping.js";
+
+/**
+ * CSS-in-JS output
+ *
+ * Emits an ES module with a nested `theme` object for styled-components,
+ * vanilla-extract and friends:
+ *
+ *   theme.colors.primary[500]   <- --color-primary-500
+ *   theme.spacing[4]            <- --spacing-4
+ *   theme.fontSize.step0        <- --font-size-step-0
+ *   theme.surface.primaryHover  <- --surface-primary-hover
+ *
+ * With `jsValues: "var"` (default) values are `var(--…)` references; with "raw"
+ * they are the resolved values. `modes` holds the semantic tokens of every mode
+ * (the mode's own `var(--…)` expression, or its resolved value in raw mode).
+ */
+
+/**
+ * Generate the ES module source
+ */
+function generateJS(processed, config = DEFAULT_CONFIG) {
+  const modes = getModes(processed);
+  const defaultMode = processed.defaultMode || config.defaultMode;
+  const raw = config.jsValues === "raw";
+  const lookup = { ...processed.primitives, ...(modes[defaultMode] || {}) };
+
+  const theme = {};
+
+  for (const [prefix, entries] of groupPrimitives(processed.primitives, config).groups) {
+    for (const [name, value] of entries) {
+      setValue(theme, getObjectPath(name, prefix), raw ? resolveValue(value, lookup) : `var(--${name})`);
+    }
+  }
+
+  const modeObjects = {};
+
+  for (const [mode, modeVariables] of Object.entries(modes)) {
+    if (Object.keys(modeVariables).length === 0) continue;
+
+    const modeLookup = { ...processed.primitives, ...modeVariables };
+    modeObjects[mode] = {};
+
+    for (const [prefix, entries] of groupModeVariables(modeVariables, config)) {
+      for (const [name, value] of entries) {
+        const objectPath = getObjectPath(name, prefix);
+        setValue(modeObjects[mode], objectPath, raw ? resolveValue(value, modeLookup) : value);
+
+        if (mode === defaultMode) {
+          setValue(theme, objectPath, raw ? resolveValue(value, lookup) : `var(--${name})`);
+        }
+      }
+    }
+  }
+
+  let output = "// Generated by @netzstrategen/figma-variables. Do not edit.\n\n";
+  output += `export const theme = ${serialize(theme, "")};\n\n`;
+  output += `export const modes = ${serialize(modeObjects, "")};\n\n`;
+  output += "export default theme;\n";
+
+  return output;
+}
+
+/**
+ * Get the object path of a variable (e.g. color-primary-500 -> ["colors", "primary", "500"])
+ */
+function getObjectPath(name, prefix) {
+  const groupPath = prefix.startsWith("color-") ? ["colors", prefix.slice("color-".length)] : [toCamelCase(prefix)];
+  const rest = name.slice(prefix.length + 1);
+
+  return rest ? [...groupPath, toKey(rest)] : groupPath;
+}
+
+/**
+ * Convert the token part of a name into an object key
+ *
+ * `step-0` -> `step0`, `step--1` -> `stepMinus1`, `0_5` -> `0.5`, `primary-hover` -> `primaryHover`
+ */
+function toKey(rest) {
+  return toCamelCase(rest.replace(/(\d)_(\d)/g, "$1.$2").replace(/--(\d)/g, "-minus-$1"));
+}
+
+function toCamelCase(value) {
+  return value.replace(/-([a-z0-9])/g, (match, char) => char.toUpperCase());
+}
+
+/**
+ * Replace var() references with their values, following alias chains
+ */
+function resolveValue(value, lookup, seen = new Set()) {
+  return value.replace(/var\(--([^)]+)\)/g, (match, name) => {
+    if (seen.has(name) || lookup[name] === undefined) return match;
+    return resolveValue(lookup[name], lookup, new Set([...seen, name]));
+  });
+}
+
+function setValue(target, objectPath, value) {
+  let node = target;
+
+  for (const key of objectPath.slice(0, -1)) {
+    node[key] = node[key] || {};
+    node = node[key];
+  }
+
+  node[objectPath.at(-1)] = value;
+}
+
+/**
+ * Serialize a nested object as a JS literal, quoting keys only when needed
+ */
+function serialize(value, indent) {
+  if (typeof value === "string") {
+    return JSON.stringify(value);
+  }
+
+  const entries = Object.entries(value);
+  if (entries.length === 0) return "{}";
+
+  const inner = indent + "  ";
+  const lines = entries.map(([key, child]) => `${inner}${formatKey(key)}: ${serialize(child, inner)},`);
+
+  return `{\n${lines.join("\n")}\n${indent}}`;
+}
+
+function formatKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) || /^(0|[1-9]\d*)$/.test(key) ? key : JSON.stringify(key);
+}
+
+export { generateJS, getObjectPath, resolveValue };
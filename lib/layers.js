@@ -0,0 +1,20 @@
+/**
+ * Cascade layers
+ *
+ * CSS output is generated indented for a layer block. Without a layer name
+ * (`layer: null`, for tools that do not handle @layer) the rules are written at
+ * the top level instead.
+ */
+
+/**
+ * Wrap rules in `@layer <name> { … }`, or dedent them when there is no layer
+ */
+function wrapLayer(body, layer) {
+  if (!layer) {
+    return body.replace(/^ {2}/gm, "");
+  }
+
+  return `@layer ${layer} {\n${body}}\n`;
+}
+
+export { wrapLayer };
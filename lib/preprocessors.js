@@ -0,0 +1,133 @@
+import { DEFAULT_CONFIG } from "./config.js";
+import { getModes, groupModeVariables, groupPrimitives } from "./grouping.js";
+
+/**
+ * SCSS and Less output
+ *
+ * Writes every group as variables followed by a map of the group, using the
+ * same grouping and order as the CSS output:
+ *
+ *   $color-primary-50: #f0f3ff;            @color-primary-50: #f0f3ff;
+ *   $colors-primary: (50: $color-…, …);    @colors-primary: { 50: @color-…; … }
+ *
+ * Semantic tokens use the default mode; `$modes` / `@modes` holds the tokens of
+ * every mode. References to primitives become preprocessor variables; any other
+ * reference stays `var(--…)` so it follows the active mode at runtime.
+ */
+
+const HEADER = "// Generated by @netzstrategen/figma-variables. Do not edit.\n";
+
+const SCSS = {
+  variable: (name) => `$${name}`,
+  value: (value) => value,
+  mapStart: (name) => `$${name}: (\n`,
+  mapEntry: (key, value, indent) => `${indent}${formatSCSSKey(key)}: ${value},\n`,
+  nestedMapStart: (key, indent) => `${indent}${key}: (\n`,
+  nestedMapEnd: (indent) => `${indent}),\n`,
+  mapEnd: ");\n",
+};
+
+const LESS = {
+  variable: (name) => `@${name}`,
+  // Less evaluates math in function arguments (clamp(1rem + 1vw…) -> clamp(2rem…)),
+  // so anything with a function call other than a plain reference is escaped
+  value: (value) => (/^@[\w-]+$/.test(value) || !value.includes("(") ? value : `~${JSON.stringify(value)}`),
+  mapStart: (name) => `@${name}: {\n`,
+  mapEntry: (key, value, indent) => `${indent}${key}: ${value};\n`,
+  nestedMapStart: (key, indent) => `${indent}@${key}: {\n`,
+  nestedMapEnd: (indent) => `${indent}}\n`,
+  mapEnd: "}\n",
+};
+
+/**
+ * Generate SCSS variables and maps
+ */
+function generateSCSS(processed, config = DEFAULT_CONFIG) {
+  return generatePreprocessor(processed, config, SCSS);
+}
+
+/**
+ * Generate Less variables and maps
+ */
+function generateLess(processed, config = DEFAULT_CONFIG) {
+  return generatePreprocessor(processed, config, LESS);
+}
+
+function generatePreprocessor(processed, config, syntax) {
+  const modes = getModes(processed);
+  const defaultMode = processed.defaultMode || config.defaultMode;
+  const toValue = (value) => syntax.value(replaceReference(value, processed.primitives, syntax));
+
+  const groups = [
+    ...groupPrimitives(processed.primitives, config).groups,
+    ...groupModeVariables(modes[defaultMode] || {}, config),
+  ];
+
+  let output = HEADER;
+
+  for (const [prefix, entries] of groups) {
+    output += `\n// ${prefix}\n`;
+
+    for (const [name, value] of entries) {
+      output += `${syntax.variable(name)}: ${toValue(value)};\n`;
+    }
+
+    output += "\n" + syntax.mapStart(getMapName(prefix));
+    for (const [name] of entries) {
+      output += syntax.mapEntry(getMapKey(name, prefix), syntax.variable(name), "  ");
+    }
+    output += syntax.mapEnd;
+  }
+
+  const modeEntries = Object.entries(modes).filter(([, variables]) => Object.keys(variables).length > 0);
+
+  if (modeEntries.length > 0) {
+    output += "\n// modes\n";
+    output += syntax.mapStart("modes");
+
+    for (const [mode, modeVariables] of modeEntries) {
+      output += syntax.nestedMapStart(mode, "  ");
+      for (const [, entries] of groupModeVariables(modeVariables, config)) {
+        for (const [name, value] of entries) {
+          output += syntax.mapEntry(name, toValue(value), "    ");
+        }
+      }
+      output += syntax.nestedMapEnd("  ");
+    }
+
+    output += syntax.mapEnd;
+  }
+
+  return output;
+}
+
+/**
+ * Get the map name of a group (color-primary -> colors-primary, spacing -> spacing)
+ */
+function getMapName(prefix) {
+  return prefix.startsWith("color-") ? `colors-${prefix.slice("color-".length)}` : prefix;
+}
+
+/**
+ * Get the map key of a variable (color-primary-500 -> 500, surface-primary-hover -> primary-hover)
+ */
+function getMapKey(name, prefix) {
+  return name.slice(prefix.length + 1) || name;
+}
+
+/**
+ * Replace a var() reference to a primitive with its preprocessor variable
+ */
+function replaceReference(value, primitives, syntax) {
+  const reference = value.match(/^var\(--([^)]+)\)$/);
+  return reference && primitives[reference[1]] !== undefined ? syntax.variable(reference[1]) : value;
+}
+
+/**
+ * Quote SCSS map keys unless they are plain integers, so `0_5` and `step--1` stay strings
+ */
+function formatSCSSKey(key) {
+  return /^(0|[1-9]\d*)$/.test(key) ? key : JSON.stringify(key);
+}
+
+export { generateLess, generateSCSS, getMapKey, getMapName };
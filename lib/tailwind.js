@@ -0,0 +1,170 @@
+import { DEFAULT_CONFIG } from "./config.js";
+import { getModes, groupModeVariables, groupPrimitives } from "./grouping.js";
+
+/**
+ * Tailwind CSS output
+ *
+ * Maps the detected groups onto Tailwind theme keys:
+ *
+ *   color-<palette>-*      -> --color-<palette>-*  / colors.<palette>
+ *   surface|text|icon|outline-* -> --color-<category>-* / colors.<category>
+ *   spacing-*              -> --spacing-*          / spacing
+ *   radii-*                -> --radius-*           / borderRadius
+ *   border-*               -> (no v4 namespace)    / borderWidth
+ *   font-family-*          -> --font-*             / fontFamily
+ *   font-weight-*          -> --font-weight-*      / fontWeight
+ *   font-size-step-*       -> --text-step-*        / fontSize
+ *   line-height-*          -> --leading-*          / lineHeight
+ *   letter-spacing-*       -> --tracking-*         / letterSpacing
+ *   text-<style>-*         -> --text-<style>, --text-<style>--line-height… / fontSize
+ *
+ * Text styles (primitives of the "text" group) use the v4 font size namespace
+ * with its line-height, font-weight and letter-spacing modifiers; the v3 preset
+ * only gets their font size.
+ *
+ * "tailwind" writes a v4 `@theme inline` block, "tailwind-preset" a v3 preset.
+ * Both reference the generated custom properties, so the generated CSS must be
+ * loaded as well. Where the Tailwind variable has the same name as the generated
+ * one (e.g. --color-primary-500) the v4 block repeats the value instead, as a
+ * self-reference would be invalid.
+ */
+
+const SEMANTIC_COLOR_GROUPS = ["surface", "text", "icon", "outline"];
+
+/**
+ * Collect Tailwind theme entries in output order
+ *
+ * Returns entries of { name, value, v4, v3 } where v4 is the theme variable name
+ * (null when Tailwind v4 has no namespace) and v3 the [themeKey, ...path].
+ */
+function collectTailwindEntries(processed, config = DEFAULT_CONFIG) {
+  const entries = [];
+  const add = (name, value, mapping) => {
+    if (mapping) entries.push({ name, value, ...mapping });
+  };
+
+  for (const [prefix, groupEntries] of groupPrimitives(processed.primitives, config).groups) {
+    for (const [name, value] of groupEntries) {
+      add(name, value, prefix === "text" ? mapTextStyle(name) : mapToTailwind(name, prefix));
+    }
+  }
+
+  const modes = getModes(processed);
+  const defaultMode = processed.defaultMode || config.defaultMode;
+
+  // Every semantic name defined in any mode, with the default mode's value
+  const modeVariables = {};
+  for (const variables of Object.values(modes)) Object.assign(modeVariables, variables);
+  Object.assign(modeVariables, modes[defaultMode] || {});
+
+  for (const [prefix, groupEntries] of groupModeVariables(modeVariables, config)) {
+    for (const [name, value] of groupEntries) add(name, value, mapToTailwind(name, prefix));
+  }
+
+  return entries;
+}
+
+/**
+ * Map a variable to its Tailwind v4 variable name and v3 theme path
+ */
+function mapToTailwind(name, prefix) {
+  const rest = name.slice(prefix.length + 1);
+  const key = rest.replace(/(\d)_(\d)/g, "$1.$2");
+
+  if (prefix.startsWith("color-")) {
+    const palette = prefix.slice("color-".length);
+    return { v4: `--${name}`, v3: ["colors", palette, key] };
+  }
+
+  if (SEMANTIC_COLOR_GROUPS.includes(prefix)) {
+    return { v4: `--color-${name}`, v3: ["colors", prefix, key] };
+  }
+
+  switch (prefix) {
+    case "spacing":
+      return { v4: `--spacing-${key}`, v3: ["spacing", key] };
+    case "radii":
+      return { v4: `--radius-${key}`, v3: ["borderRadius", key] };
+    case "border":
+      return { v4: null, v3: ["borderWidth", key] };
+    case "font-family":
+      return { v4: `--font-${key}`, v3: ["fontFamily", key] };
+    case "font-weight":
+      return { v4: `--font-weight-${key}`, v3: ["fontWeight", key] };
+    case "font-size":
+      return key.startsWith("step-") ? { v4: `--text-${key}`, v3: ["fontSize", key] } : null;
+    case "line-height":
+      return { v4: `--leading-${key}`, v3: ["lineHeight", key] };
+    case "letter-spacing":
+      return { v4: `--tracking-${key}`, v3: ["letterSpacing", key] };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Map a text style token (text-<style>-<property>) to the Tailwind font size theme
+ */
+function mapTextStyle(name) {
+  const match = name.match(/^text-(.+)-(font-size|line-height|font-weight|letter-spacing)$/);
+  if (!match) return null;
+
+  const [, style, property] = match;
+  if (property === "font-size") {
+    return { v4: `--text-${style}`, v3: ["fontSize", style] };
+  }
+
+  return { v4: `--text-${style}--${property}`, v3: null };
+}
+
+/**
+ * Generate the Tailwind v4 `@theme` block
+ */
+function generateTailwindTheme(processed, config = DEFAULT_CONFIG) {
+  let output = "/* Generated by @netzstrategen/figma-variables. Do not edit. */\n\n";
+  output += "@theme inline {\n";
+
+  let previousGroup = null;
+
+  for (const { name, value, v4, v3 } of collectTailwindEntries(processed, config)) {
+    if (!v4) continue;
+
+    // Text style modifiers (no v3 path) stay with their font size
+    const group = v3 ? v3.slice(0, -1).join(".") : previousGroup;
+    if (previousGroup !== null && group !== previousGroup) output += "\n";
+    previousGroup = group;
+
+    const cssValue = v4 === `--${name}` ? value : `var(--${name})`;
+    output += `  ${v4.replace(/\./g, "\\.")}: ${cssValue};\n`;
+  }
+
+  output += "}\n";
+
+  return output;
+}
+
+/**
+ * Generate a Tailwind v3 preset as an ES module (`presets: [preset]` in tailwind.config.js)
+ */
+function generateTailwindPreset(processed, config = DEFAULT_CONFIG) {
+  const extend = {};
+
+  for (const { name, v3 } of collectTailwindEntries(processed, config)) {
+    if (!v3) continue;
+
+    let node = extend;
+    for (const key of v3.slice(0, -1)) {
+      node[key] = node[key] || {};
+      node = node[key];
+    }
+    node[v3.at(-1)] = `var(--${name})`;
+  }
+
+  let output = "// Generated by @netzstrategen/figma-variables. Do not edit.\n\n";
+  output += "/** @type {import('tailwindcss').Config} */\n";
+  output += `export default ${JSON.stringify({ theme: { extend } }, null, 2)};\n`;
+
+  return output;
+}
+
+export { collectTailwindEntries, generateTailwindPreset, generateTailwindTheme, mapTextStyle, mapToTailwind };
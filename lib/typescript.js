@@ -0,0 +1,93 @@
+import { DEFAULT_CONFIG } from "./config.js";
+import { getModes, groupModeVariables, groupPrimitives } from "./grouping.js";
+
+/**
+ * TypeScript declarations for the generated custom properties
+ *
+ * Produces a `.d.ts` with a `TokenName` union of every custom property, one union
+ * per group (`ColorToken`, `SpacingToken`, `SurfaceToken`…) and `FontSizeStep`,
+ * plus a small `.js` module with the runtime `tokens` map and `cssVar()` helper
+ * the declarations describe.
+ */
+
+const HEADER = "// Generated by @netzstrategen/figma-variables. Do not edit.\n";
+
+/**
+ * Generate the declaration and runtime files
+ */
+function generateTypes(processed, config = DEFAULT_CONFIG) {
+  const groups = collectTokenGroups(processed, config);
+  const names = [...new Set([...groups.values()].flat())];
+
+  let dts = HEADER + "\n";
+  dts += `export type TokenName =${formatUnion(names.map((name) => JSON.stringify(`--${name}`)))};\n`;
+
+  for (const [typeName, groupNames] of groups) {
+    dts += `\nexport type ${typeName} =${formatUnion(groupNames.map((name) => JSON.stringify(`--${name}`)))};\n`;
+  }
+
+  const steps = names
+    .map((name) => name.match(/^font-size-step-(-?\d+)$/))
+    .filter(Boolean)
+    .map((match) => parseInt(match[1]))
+    .sort((a, b) => a - b);
+
+  if (steps.length > 0) {
+    dts += `\nexport type FontSizeStep =${formatUnion(steps.map(String))};\n`;
+  }
+
+  dts += "\nexport declare const tokens: { readonly [K in TokenName]: `var(${K})` };\n";
+  dts += "\nexport declare function cssVar<K extends TokenName>(name: K): `var(${K})`;\n";
+
+  let js = HEADER + "\n";
+  js += "export const tokens = Object.freeze({\n";
+  for (const name of names) {
+    js += `  ${JSON.stringify(`--${name}`)}: "var(--${name})",\n`;
+  }
+  js += "});\n";
+  js += "\nexport function cssVar(name) {\n";
+  js += "  return `var(${name})`;\n";
+  js += "}\n";
+
+  return { dts, js };
+}
+
+/**
+ * Collect token names per type, in output order
+ *
+ * All color palettes share `ColorToken`; every other group gets `<Group>Token`.
+ */
+function collectTokenGroups(processed, config = DEFAULT_CONFIG) {
+  const groups = new Map();
+  const add = (prefix, names) => {
+    const typeName = prefix.startsWith("color-") ? "ColorToken" : `${toPascalCase(prefix)}Token`;
+    groups.set(typeName, [...new Set([...(groups.get(typeName) || []), ...names])]);
+  };
+
+  for (const [prefix, entries] of groupPrimitives(processed.primitives, config).groups) {
+    add(prefix, entries.map(([name]) => name));
+  }
+
+  // Every name defined in any mode
+  const modeVariables = {};
+  for (const variables of Object.values(getModes(processed))) {
+    for (const name of Object.keys(variables)) modeVariables[name] = null;
+  }
+
+  for (const [prefix, entries] of groupModeVariables(modeVariables, config)) {
+    add(prefix, entries.map(([name]) => name));
+  }
+
+  return groups;
+}
+
+function toPascalCase(value) {
+  return value.replace(/(^|-)([a-z0-9])/g, (match, dash, char) => char.toUpperCase());
+}
+
+function formatUnion(members) {
+  if (members.length === 0) return " never";
+  return members.map((member) => `\n  | ${member}`).join("");
+}
+
+export { generateTypes, collectTokenGroups };
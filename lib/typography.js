@@ -0,0 +1,135 @@
+import { DEFAULT_CONFIG, TEXT_STYLE_PROPERTIES } from "./config.js";
+import { wrapLayer } from "./layers.js";
+
+/**
+ * Typography tokens
+ *
+ * Figma exports font weights as style names (`--font-weight-bold: "Bold"`);
+ * they are converted to numeric weights so they can be used as CSS values.
+ *
+ * Text styles from `config.textStyles` combine the font tokens into composite
+ * tokens, one per property:
+ *
+ *   textStyles: { "heading-1": { family: "heading", size: "step-5", weight: "bold" } }
+ *
+ *   --text-heading-1-font-family: var(--font-family-heading);
+ *   --text-heading-1-font-size: var(--font-size-step-5);
+ *   --text-heading-1-font-weight: var(--font-weight-bold);
+ *
+ * An italic weight (`bold-italic`) adds `--text-heading-1-font-style: italic`.
+ * With `config.textClasses` the CSS output also gets a `.text-heading-1` class
+ * per style. References to missing tokens are reported by validateReferences.
+ */
+
+// Numeric weights of the style names used by Figma and font foundries
+const FONT_WEIGHTS = {
+  thin: 100,
+  hairline: 100,
+  extralight: 200,
+  ultralight: 200,
+  light: 300,
+  regular: 400,
+  normal: 400,
+  book: 400,
+  italic: 400,
+  medium: 500,
+  semibold: 600,
+  demibold: 600,
+  bold: 700,
+  extrabold: 800,
+  ultrabold: 800,
+  black: 900,
+  heavy: 900,
+};
+
+/**
+ * Build the typography tokens
+ *
+ * Returns the converted font weights and the composite text style tokens, to be
+ * merged into the primitives. Problems are added to `warnings`.
+ */
+function processTypography(primitives, config = DEFAULT_CONFIG, warnings = []) {
+  const tokens = {};
+
+  for (const [name, value] of Object.entries(primitives)) {
+    if (!name.startsWith("font-weight-")) continue;
+
+    const weight = toFontWeight(value);
+    if (weight === null) {
+      warnings.push({
+        code: "UNKNOWN_FONT_WEIGHT",
+        message: `--${name} has an unknown font weight ${value}; expected a number or a style name such as "Bold"`,
+        variable: name,
+      });
+      continue;
+    }
+
+    tokens[name] = String(weight);
+  }
+
+  for (const [style, properties] of Object.entries(config.textStyles)) {
+    for (const [property, value] of getTextStyleProperties(properties)) {
+      tokens[`text-${style}-${property}`] = value;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * List the CSS properties of a text style as [property, value] pairs
+ */
+function getTextStyleProperties(properties) {
+  const result = [];
+
+  for (const [key, family] of Object.entries(TEXT_STYLE_PROPERTIES)) {
+    if (properties[key] === undefined) continue;
+
+    result.push([family, `var(--${family}-${properties[key]})`]);
+
+    if (key === "weight" && properties.weight.endsWith("italic")) {
+      result.push(["font-style", "italic"]);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Convert a weight such as "Bold italic", "SemiBold" or "600" to a number (null if unknown)
+ */
+function toFontWeight(value) {
+  const name = value.replace(/["']/g, "").trim().toLowerCase();
+
+  if (/^\d+$/.test(name)) {
+    return parseInt(name);
+  }
+
+  const key = name.replace(/[\s_-]*italic$/, "").replace(/[\s_-]/g, "") || "italic";
+  return FONT_WEIGHTS[key] ?? null;
+}
+
+/**
+ * Generate a utility class per text style, in `config.utilityLayer`
+ */
+function generateTextClasses(config = DEFAULT_CONFIG) {
+  const styles = Object.entries(config.textStyles);
+  if (styles.length === 0) return "";
+
+  let output = "";
+
+  styles.forEach(([style, properties], i) => {
+    if (i > 0) output += "\n";
+    output += `  .text-${style} {\n`;
+
+    for (const [property] of getTextStyleProperties(properties)) {
+      output += `    ${property}: var(--text-${style}-${property});\n`;
+    }
+
+    output += "  }\n";
+  });
+
+  return wrapLayer(output, config.utilityLayer);
+}
+
+export { FONT_WEIGHTS, generateTextClasses, getTextStyleProperties, processTypography, toFontWeight };
@@ -0,0 +1,128 @@
+import { DEFAULT_CONFIG } from "./config.js";
+import { getModes, groupPrimitives } from "./grouping.js";
+
+/**
+ * Reference validation
+ *
+ * Checks the processed variables the way the browser will see them: primitives
+ * (only those that end up in a group), the default mode in `:root` and each
+ * other mode on top of it. Reports:
+ *
+ * - DANGLING_REFERENCE: `var(--x)` without a fallback where `--x` is not defined
+ * - CIRCULAR_REFERENCE: aliases that end up referencing themselves
+ * - INCOMPLETE_MODES: semantic tokens missing from some of the modes
+ *
+ * Each diagnostic is `{ code, message, variable, ... }`, like the other warnings.
+ */
+
+const REFERENCE_PATTERN = /var\(\s*--([\w-]+)\s*(,)?/g;
+
+/**
+ * Validate every var() reference of the processed variables
+ */
+function validateReferences(processed, config = DEFAULT_CONFIG) {
+  const diagnostics = [];
+  const modes = getModes(processed);
+  const defaultMode = processed.defaultMode || config.defaultMode;
+
+  const primitives = {};
+  for (const [, entries] of groupPrimitives(processed.primitives, config).groups) {
+    for (const [name, value] of entries) primitives[name] = value;
+  }
+
+  // Each mode sees the primitives and the default mode, overridden by its own tokens
+  const contexts = [[null, primitives, primitives]];
+  for (const [mode, variables] of Object.entries(modes)) {
+    contexts.push([mode, variables, { ...primitives, ...(modes[defaultMode] || {}), ...variables }]);
+  }
+
+  const seenCycles = new Set();
+
+  for (const [mode, variables, lookup] of contexts) {
+    const where = mode ? ` (${mode})` : "";
+
+    for (const [name, value] of Object.entries(variables)) {
+      for (const [reference, hasFallback] of getReferences(value)) {
+        if (lookup[reference] === undefined && !hasFallback) {
+          diagnostics.push({
+            code: "DANGLING_REFERENCE",
+            message: `--${name}${where} references --${reference}, which is not defined`,
+            variable: name,
+            reference,
+            ...(mode && { mode }),
+          });
+        }
+      }
+
+      const cycle = findCycle(name, lookup);
+      const key = cycle && [...new Set(cycle)].sort().join(" ");
+      if (cycle && !seenCycles.has(key)) {
+        seenCycles.add(key);
+        diagnostics.push({
+          code: "CIRCULAR_REFERENCE",
+          message: `Circular reference${where}: ${cycle.map((entry) => `--${entry}`).join(" -> ")}`,
+          variable: name,
+          cycle,
+          ...(mode && { mode }),
+        });
+      }
+    }
+  }
+
+  diagnostics.push(...findIncompleteModes(modes));
+
+  return diagnostics;
+}
+
+/**
+ * List the var() references of a value as [name, hasFallback]
+ */
+function getReferences(value) {
+  return [...value.matchAll(REFERENCE_PATTERN)].map((match) => [match[1], Boolean(match[2])]);
+}
+
+/**
+ * Follow the references of a variable and return the cycle it is part of, if any
+ */
+function findCycle(name, lookup, chain = []) {
+  const index = chain.indexOf(name);
+  if (index !== -1) {
+    return index === 0 ? [...chain, name] : null;
+  }
+
+  if (lookup[name] === undefined) return null;
+
+  for (const [reference] of getReferences(lookup[name])) {
+    const cycle = findCycle(reference, lookup, [...chain, name]);
+    if (cycle) return cycle;
+  }
+
+  return null;
+}
+
+/**
+ * Find semantic tokens that are only defined in some of the modes
+ */
+function findIncompleteModes(modes) {
+  const modeNames = Object.keys(modes).filter((mode) => Object.keys(modes[mode]).length > 0);
+  if (modeNames.length < 2) return [];
+
+  const names = new Set(modeNames.flatMap((mode) => Object.keys(modes[mode])));
+  const diagnostics = [];
+
+  for (const name of names) {
+    const missing = modeNames.filter((mode) => modes[mode][name] === undefined);
+    if (missing.length > 0) {
+      diagnostics.push({
+        code: "INCOMPLETE_MODES",
+        message: `--${name} is not defined in mode${missing.length > 1 ? "s" : ""} ${missing.join(", ")}`,
+        variable: name,
+        missing,
+      });
+    }
+  }
+
+  return diagnostics;
+}
+
+export { findCycle, getReferences, validateReferences };
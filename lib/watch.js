@@ -0,0 +1,48 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Watch files for changes
+ *
+ * Watches the parent directories rather than the files themselves, so exports
+ * that are deleted and written again (as most editors and downloads do) keep
+ * being picked up. Changes within `debounce` ms are reported as one batch, and
+ * batches run one after another even when `onChange` is async. A failing batch
+ * is logged and does not stop the following ones.
+ */
+function watchFiles(filePaths, onChange, { debounce = 100 } = {}) {
+  const files = new Map(filePaths.map((filePath) => [path.resolve(filePath), filePath]));
+  const directories = new Set([...files.keys()].map((filePath) => path.dirname(filePath)));
+  const changed = new Set();
+  let timer = null;
+  let running = Promise.resolve();
+
+  const watchers = [...directories].map((directory) =>
+    fs.watch(directory, (event, filename) => {
+      const filePath = filename && path.join(directory, filename.toString());
+      if (!files.has(filePath)) return;
+
+      changed.add(files.get(filePath));
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const batch = [...changed];
+        changed.clear();
+        running = running
+          .then(() => onChange(batch))
+          .catch((error) => {
+            console.error("❌ Error al procesar los cambios:");
+            console.error(`   ${error.message}`);
+          });
+      }, debounce);
+    }),
+  );
+
+  return {
+    close() {
+      clearTimeout(timer);
+      watchers.forEach((watcher) => watcher.close());
+    },
+  };
+}
+
+export { watchFiles };
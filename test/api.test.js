@@ -0,0 +1,81 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFileSync } from "child_process";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { ConfigError, FigmaVariablesError, InputError, transform } from "../index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe("transform() API", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const originalCSS = fs.readFileSync(path.join(fixturesDir, "original.css"), "utf-8");
+  const expectedCSS = fs.readFileSync(path.join(fixturesDir, "expected.css"), "utf-8");
+
+  test("should return the output and tokens without touching the file system", () => {
+    const writeSpy = vi.spyOn(fs, "writeFileSync");
+    const { css, tokens, warnings } = transform(originalCSS);
+
+    expect(css).toBe(expectedCSS);
+    expect(tokens.primitives["color-primary-500"]).toBe("#253fe4");
+    expect(tokens.modes.dark["surface-primary-hover"]).toBe("var(--color-primary-600)");
+    expect(warnings).toEqual([]);
+    expect(writeSpy).not.toHaveBeenCalled();
+
+    writeSpy.mockRestore();
+  });
+
+  test("should accept config options and Figma Variables JSON", () => {
+    const data = JSON.parse(fs.readFileSync(path.join(fixturesDir, "figma-variables.json"), "utf-8"));
+
+    expect(transform(data).css).toBe(expectedCSS);
+    expect(transform(originalCSS, { format: "js" }).css).toMatch(/^\/\/ Generated by/);
+    expect(transform(originalCSS, { themeStrategy: "class" }).css).toContain(".dark {");
+  });
+
+  test("should report ungrouped variables as warnings", () => {
+    const { css, warnings } = transform(":root {\n  --misc-foo: 1px;\n}\n");
+
+    expect(css).not.toContain("--misc-foo");
+    expect(warnings).toEqual([
+      {
+        code: "UNGROUPED_VARIABLE",
+        message: "Variable --misc-foo does not match any group and was left out",
+        variable: "misc-foo",
+      },
+    ]);
+  });
+
+  test("should throw typed errors", () => {
+    expect(() => transform(originalCSS, { format: "xml" })).toThrow(ConfigError);
+    expect(() => transform(42)).toThrow(InputError);
+    expect(() => transform({ foo: 1 })).toThrow(InputError);
+
+    try {
+      transform(originalCSS, { colours: [] });
+    } catch (error) {
+      expect(error).toBeInstanceOf(FigmaVariablesError);
+      expect(error.name).toBe("ConfigError");
+      expect(error.code).toBe("ERR_CONFIG");
+    }
+  });
+
+  test("should not start the command line when imported from another index.js", () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "figma-variables-api-"));
+    const script = path.join(tmpDir, "index.js");
+
+    try {
+      fs.writeFileSync(
+        script,
+        `import { transform } from ${JSON.stringify(path.join(__dirname, "..", "index.js"))};\n` +
+          'console.log(transform(":root {\\n  --spacing-1: 4px;\\n}\\n").tokens.primitives["spacing-1"]);\n',
+      );
+
+      expect(execFileSync(process.execPath, [script, "--port", "3000"], { cwd: tmpDir, encoding: "utf-8" })).toBe("4px\n");
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,194 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execSync } from "child_process";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { ConfigError, detectModes, resolveConfig, transform } from "../index.js";
+import { formatBrandReportText, matchBrandMode } from "../lib/brands.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe("Brands", () => {
+  const css = `:root {
+  --color-gray-50: #f5f5f5;
+  --color-gray-950: #292929;
+  --color-primary-500-acme-mode: #253fe4;
+  --color-primary-500-globex-mode: #e11d48;
+  --color-primary-600-acme-mode: #1d33c0;
+  --color-primary-600-globex-mode: #be123c;
+  --surface-surface-background-acme-light-mode: var(--color-gray-50);
+  --surface-surface-background-acme-dark-mode: var(--color-gray-950);
+  --surface-surface-background-globex-light-mode: var(--color-gray-50);
+  --surface-surface-background-globex-dark-mode: #000000;
+  --surface-surface-primary-default-acme-light-mode: var(--color-primary-500);
+  --surface-surface-primary-default-acme-dark-mode: var(--color-primary-600);
+  --surface-surface-primary-default-globex-light-mode: var(--color-primary-500);
+  --surface-surface-primary-default-globex-dark-mode: var(--color-primary-600);
+}
+`;
+  const brands = ["acme", "globex"];
+
+  test("should detect brand and brand theme modes", () => {
+    expect(matchBrandMode("color-primary-500-acme-mode", brands)).toBe("acme");
+    expect(matchBrandMode("surface-surface-background-globex-high-contrast-mode", brands)).toBe("globex-high-contrast");
+    expect(matchBrandMode("surface-surface-background-light-mode", brands)).toBeNull();
+    expect(matchBrandMode("color-primary-500-acme-pro-mode", ["acme", "acme-pro"])).toBe("acme-pro");
+
+    const names = css.match(/--[\w-]+(?=:)/g).map((name) => name.slice(2));
+    expect(detectModes(names, resolveConfig({ brands }))).toEqual([
+      "acme",
+      "globex",
+      "acme-light",
+      "acme-dark",
+      "globex-light",
+      "globex-dark",
+    ]);
+  });
+
+  test("should write a complete output per brand and list its overrides", () => {
+    const result = transform(css, { brands });
+    const [acme, globex] = result.brands;
+
+    expect(result.css).toBeNull();
+    expect(result.warnings).toEqual([]);
+    expect(acme.overrides).toEqual([]);
+    expect(globex.overrides.map(({ token, value, base }) => [token, value, base])).toEqual([
+      ["--color-primary-500", "#e11d48", "#253fe4"],
+      ["--color-primary-600", "#be123c", "#1d33c0"],
+      ["--surface-background (dark)", "#000000", "var(--color-gray-950)"],
+    ]);
+    expect(globex.css).toBe(`@layer globals {
+  :root {
+    --color-gray-50: #f5f5f5;
+    --color-gray-950: #292929;
+
+    --color-primary-500: #e11d48;
+    --color-primary-600: #be123c;
+
+    --surface-background: var(--color-gray-50);
+    --surface-primary-default: var(--color-primary-500);
+  }
+
+  @media (prefers-color-scheme: dark) {
+    :root {
+      --surface-background: #000000;
+      --surface-primary-default: var(--color-primary-600);
+
+    }
+  }
+}
+`);
+    expect(transform(css, { brands, format: "dtcg" }).brands[1].css).toContain('"$value": "#e11d48"');
+  });
+
+  test("should write the other brands as scoped blocks", () => {
+    const { css: output } = transform(css, { brands, brandOutput: "selector", themeStrategy: "selector" });
+
+    expect(output).toContain(`    --surface-primary-default: var(--color-primary-500);
+  }
+
+  [data-theme="dark"] {
+    --surface-background: var(--color-gray-950);
+    --surface-primary-default: var(--color-primary-600);
+  }
+
+  [data-brand="globex"] {
+    --color-primary-500: #e11d48;
+    --color-primary-600: #be123c;
+
+    --surface-background: var(--color-gray-50);
+    --surface-primary-default: var(--color-primary-500);
+  }
+
+  [data-brand="globex"][data-theme="dark"] {
+    --surface-background: #000000;
+    --surface-primary-default: var(--color-primary-600);
+  }
+}
+`);
+  });
+
+  test("should inherit the base brand's tokens and report unknown brands", () => {
+    const extra = css.replace("}\n", "  --surface-surface-background-initech-dark-mode: #111111;\n}\n");
+    const { brands: results, warnings } = transform(extra, { brands: ["acme", "initech", "umbrella", "globex"] });
+
+    expect(results[1].tokens.primitives["color-primary-500"]).toBe("#253fe4");
+    expect(results[1].overrides.map(({ token }) => token)).toEqual(["--surface-background (dark)"]);
+    expect(warnings).toEqual([
+      {
+        code: "UNKNOWN_BRAND",
+        message: 'Brand "umbrella" has no -umbrella-mode or -umbrella-<mode>-mode variables',
+        brand: "umbrella",
+      },
+    ]);
+  });
+
+  test("should report reference problems once for every brand they affect", () => {
+    const broken = css.replace("var(--color-primary-600);\n}", "var(--color-primary-700);\n}");
+    const { warnings } = transform(broken, { brands });
+
+    expect(warnings.map(({ message }) => message)).toEqual([
+      "globex: --surface-primary-default (dark) references --color-primary-700, which is not defined",
+    ]);
+  });
+
+  test("should name the split files of every brand after it", () => {
+    const [acme, globex] = transform(css, { brands, split: true }).brands;
+
+    expect(Object.keys(acme.files)).toEqual(["primitives-acme.css", "theme-light-acme.css", "theme-dark-acme.css"]);
+    expect(globex.css).toBe(`@import url("primitives-globex.css");
+@import url("theme-light-globex.css");
+@import url("theme-dark-globex.css");
+`);
+    expect(globex.files["primitives-globex.css"]).toContain("--color-primary-500: #e11d48;");
+  });
+
+  test("should only scope brands in the css format", () => {
+    expect(() => transform(css, { brands, brandOutput: "selector", format: "scss" })).toThrow(ConfigError);
+    expect(() => transform(css, { brands, brandOutput: "selector", split: true })).toThrow(
+      'brandOutput "selector" cannot be combined with "split"',
+    );
+  });
+
+  test("should format the overrides report", () => {
+    expect(formatBrandReportText(transform(css, { brands }).brands)).toBe(`Base brand: acme
+
+globex: 3 tokens overridden
+  ~ --color-primary-500: #253fe4 -> #e11d48
+  ~ --color-primary-600: #1d33c0 -> #be123c
+  ~ --surface-background (dark): var(--color-gray-950) -> #000000
+`);
+  });
+
+  test("should write one output per brand from the command line", () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "figma-variables-brands-"));
+
+    try {
+      fs.writeFileSync(path.join(tmpDir, "input.css"), css);
+      const cli = `node ${path.join(__dirname, "..", "index.js")}`;
+      const output = execSync(`${cli} input.css "dist/{brand}/tokens.css" --brands acme,globex`, {
+        cwd: tmpDir,
+        encoding: "utf-8",
+      });
+
+      expect(output).toContain("Output: dist/acme/tokens.css, dist/globex/tokens.css");
+      expect(fs.readFileSync(path.join(tmpDir, "dist/globex/tokens.css"), "utf-8")).toContain("#e11d48");
+
+      execSync(`${cli} input.css tokens.css --brands acme,globex`, { cwd: tmpDir, encoding: "utf-8" });
+      expect(fs.existsSync(path.join(tmpDir, "tokens-globex.css"))).toBe(true);
+
+      const split = execSync(`${cli} input.css split/tokens.css --brands acme,globex --split`, { cwd: tmpDir, encoding: "utf-8" });
+      expect(split).toContain("Files:  primitives-acme.css, theme-light-acme.css, theme-dark-acme.css, primitives-globex.css");
+      expect(fs.readFileSync(path.join(tmpDir, "split/primitives-acme.css"), "utf-8")).toContain("#253fe4");
+      expect(fs.readFileSync(path.join(tmpDir, "split/primitives-globex.css"), "utf-8")).toContain("#e11d48");
+
+      const report = JSON.parse(execSync(`${cli} brands input.css --brands acme,globex --format json`, { cwd: tmpDir, encoding: "utf-8" }));
+      expect(report.base).toBe("acme");
+      expect(report.brands[0]).toMatchObject({ brand: "globex", count: 3 });
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
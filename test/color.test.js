@@ -0,0 +1,86 @@
+import { resolveConfig } from "../lib/config.js";
+import { convertColor, parseColor } from "../lib/color.js";
+import { ConfigError } from "../lib/errors.js";
+import { transform } from "../index.js";
+
+describe("Colors", () => {
+  const css = `:root {
+  --color-primary-50: #eaf0fc;
+  --color-primary-500: rgb(37, 63, 228);
+  --spacing-1: 4px;
+  --surface-surface-background-light-mode: var(--color-primary-50);
+  --surface-surface-background-dark-mode: #000;
+  --surface-surface-background-0-light-mode: rgba(255 255 255 / 0);
+  --surface-surface-background-0-dark-mode: rgba(0 0 0 / 0);
+}
+`;
+
+  test("should parse hex, rgb(), hsl() and oklch() colors", () => {
+    expect(parseColor("#fff")).toEqual({ r: 1, g: 1, b: 1, alpha: 1 });
+    expect(parseColor("rgba(0 0 0 / 50%)")).toEqual({ r: 0, g: 0, b: 0, alpha: 0.5 });
+    expect(parseColor("hsl(0, 100%, 50%)")).toEqual({ r: 1, g: 0, b: 0, alpha: 1 });
+    expect(convertColor("oklch(0.628 0.2577 29.23)", "hex")).toBe("#ff0000");
+    expect(parseColor("var(--color-primary-50)")).toBeNull();
+    expect(parseColor("rgb(a b c)")).toBeNull();
+  });
+
+  test("should convert between formats", () => {
+    expect(convertColor("#eaf0fc", "rgb")).toBe("rgb(234 240 252)");
+    expect(convertColor("#eaf0fc", "hsl")).toBe("hsl(220 75% 95.29%)");
+    expect(convertColor("#eaf0fc", "oklch")).toBe("oklch(0.9541 0.0174 264.49)");
+    expect(convertColor("rgba(255 255 255 / 0)", "hex")).toBe("#ffffff00");
+    expect(convertColor("#ffffff80", "oklch")).toBe("oklch(1 0 0 / 0.502)");
+  });
+
+  test("should round-trip hex colors through rgb() and hsl()", () => {
+    for (const hex of ["#253fe4", "#e7c6c6", "#737373", "#007032", "#0054b3"]) {
+      expect(convertColor(convertColor(hex, "rgb"), "hex")).toBe(hex);
+      expect(convertColor(convertColor(hex, "hsl"), "hex")).toBe(hex);
+      expect(convertColor(convertColor(hex, "oklch"), "hex")).toBe(hex);
+    }
+  });
+
+  test("should keep colors as exported by default", () => {
+    const { tokens } = transform(css);
+
+    expect(tokens.primitives["color-primary-500"]).toBe("rgb(37, 63, 228)");
+    expect(tokens.modes.light["surface-background-0"]).toBe("rgba(255 255 255 / 0)");
+  });
+
+  test("should normalise primitives and mode colors to colorFormat", () => {
+    const { tokens } = transform(css, { colorFormat: "hex" });
+
+    expect(tokens.primitives).toEqual({
+      "color-primary-50": "#eaf0fc",
+      "color-primary-500": "#253fe4",
+      "spacing-1": "4px",
+    });
+    expect(tokens.modes.light).toEqual({
+      "surface-background": "var(--color-primary-50)",
+      "surface-background-0": "#ffffff00",
+    });
+    expect(tokens.modes.dark["surface-background"]).toBe("#000000");
+  });
+
+  test("should write an @supports block with oklch() primitives as fallback", () => {
+    const { css: output, tokens } = transform(css, { colorFormat: "oklch", colorFallback: true });
+
+    expect(tokens.primitives["color-primary-50"]).toBe("#eaf0fc");
+    expect(output).toContain(`  }
+
+  @supports (color: oklch(0 0 0)) {
+    :root {
+      --color-primary-50: oklch(0.9541 0.0174 264.49);
+      --color-primary-500: oklch(0.4778 0.2459 267.29);
+    }
+  }
+`);
+    expect(transform(css, { colorFormat: "oklch" }).css).not.toContain("@supports");
+  });
+
+  test("should reject unknown color formats", () => {
+    expect(() => resolveConfig({ colorFormat: "lab" })).toThrow('"colorFormat" must be one of: hex, rgb, hsl, oklch');
+    expect(() => resolveConfig({ colorFormat: "hex", colorFallback: true })).toThrow(ConfigError);
+    expect(() => resolveConfig({ colorFallback: true })).toThrow('"colorFallback" only applies to colorFormat "oklch"');
+  });
+});
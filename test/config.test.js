@@ -0,0 +1,174 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execSync } from "child_process";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import {
+  DEFAULT_CONFIG,
+  findConfigFile,
+  loadConfig,
+  resolveConfig,
+  simplifyName,
+  processVariables,
+  generateOutput,
+} from "../index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe("Configuration", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const originalPath = path.join(fixturesDir, "original.css");
+  const expectedPath = path.join(fixturesDir, "expected.css");
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "figma-variables-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test("should return the defaults without a config file", async () => {
+    const config = await loadConfig(null);
+
+    expect(config).toEqual(DEFAULT_CONFIG);
+  });
+
+  test("should replace top-level options", () => {
+    const config = resolveConfig({ colorOrder: ["color-brand"] });
+
+    expect(config.colorOrder).toEqual(["color-brand"]);
+    expect(config.groupOrder).toEqual(DEFAULT_CONFIG.groupOrder);
+  });
+
+  test("should extend options instead of replacing them", () => {
+    const config = resolveConfig({
+      extend: {
+        skipPrefixes: ["motion-"],
+        renames: { "spacing-spacing-": "spacing-" },
+        modeOrder: { surface: ["brand"], shadow: ["sm", "md"] },
+      },
+    });
+
+    expect(config.skipPrefixes).toEqual([...DEFAULT_CONFIG.skipPrefixes, "motion-"]);
+    expect(config.renames["border-border-"]).toBe("border-");
+    expect(config.renames["spacing-spacing-"]).toBe("spacing-");
+    expect(config.modeOrder.surface.at(-1)).toBe("brand");
+    expect(config.modeOrder.shadow).toEqual(["sm", "md"]);
+    expect(DEFAULT_CONFIG.skipPrefixes).not.toContain("motion-");
+  });
+
+  test("should reject invalid configs with a clear message", () => {
+    expect(() => resolveConfig([])).toThrow("expected an object");
+    expect(() => resolveConfig({ colours: [] })).toThrow('unknown option "colours"');
+    expect(() => resolveConfig({ keepPx: "radii-full" })).toThrow('"keepPx" must be an array of strings');
+    expect(() => resolveConfig({ renames: { "a-a-": 1 } })).toThrow('"renames" must be an object');
+    expect(() => resolveConfig({ extend: { modeOrder: { text: [1] } } })).toThrow(
+      '"extend.modeOrder.text" must be an array of strings',
+    );
+    expect(() => resolveConfig({ rootFontSize: 0 })).toThrow('"rootFontSize" must be a positive number');
+    expect(() => resolveConfig({ clampPrecision: 2.5 })).toThrow('"clampPrecision" must be a whole number');
+  });
+
+  test("should discover and load a JSON config file", async () => {
+    const configPath = path.join(tmpDir, "figma-variables.config.json");
+    fs.writeFileSync(configPath, JSON.stringify({ keepPx: ["spacing-px"] }));
+
+    expect(findConfigFile(tmpDir)).toBe(configPath);
+
+    const config = await loadConfig(configPath);
+    expect(config.keepPx).toEqual(["spacing-px"]);
+  });
+
+  test("should load a JavaScript config file", async () => {
+    const configPath = path.join(tmpDir, "figma-variables.config.js");
+    fs.writeFileSync(configPath, 'export default { extend: { colorOrder: ["color-brand"] } };');
+
+    const config = await loadConfig(configPath);
+    expect(config.colorOrder.at(-1)).toBe("color-brand");
+  });
+
+  test("should report malformed JSON and missing files", async () => {
+    const configPath = path.join(tmpDir, "figma-variables.config.json");
+    fs.writeFileSync(configPath, "{ nope");
+
+    await expect(loadConfig(configPath)).rejects.toThrow("Invalid JSON");
+    await expect(loadConfig(path.join(tmpDir, "missing.json"))).rejects.toThrow("Config file not found");
+  });
+
+  test("should apply config rules to the transformation", () => {
+    const config = resolveConfig({
+      renames: { "spacing-spacing-": "space-" },
+      keepPx: [],
+      colorOrder: ["color-brand"],
+      groupOrder: ["space", "radii"],
+      extend: { skipPrefixes: ["motion-"] },
+    });
+    const variables = {
+      "color-gray-50": "#f5f5f5",
+      "color-brand-50": "#eaf0fc",
+      "radii-full": "9999px",
+      "radii-full-rem": "624.9375rem",
+      "spacing-spacing-1": "4px",
+      "spacing-spacing-1-rem": "0.25rem",
+      "motion-fast": "100ms",
+      "viewport-min-width": '"390"',
+      "viewport-max-width": '"1440"',
+    };
+
+    const processed = processVariables(variables, "", config);
+    const output = generateOutput(processed, config);
+
+    expect(simplifyName("spacing-spacing-1", config)).toBe("space-1");
+    expect(processed.primitives["radii-full"]).toBe("624.9375rem");
+    expect(processed.primitives["motion-fast"]).toBeUndefined();
+    expect(output.indexOf("--color-brand-50")).toBeLessThan(output.indexOf("--color-gray-50"));
+    expect(output.indexOf("--space-1")).toBeLessThan(output.indexOf("--radii-full"));
+  });
+
+  test("should read the config passed with --config", () => {
+    const configPath = path.join(tmpDir, "tokens.config.json");
+    const outputPath = path.join(tmpDir, "output.css");
+    fs.writeFileSync(configPath, JSON.stringify({ extend: { skipPrefixes: ["header-"] } }));
+
+    execSync(
+      `node ${path.join(__dirname, "..", "index.js")} ${originalPath} ${outputPath} --config ${configPath}`,
+      { encoding: "utf-8" },
+    );
+
+    const output = fs.readFileSync(outputPath, "utf-8");
+    expect(output).not.toContain("--header-height");
+    expect(output).toContain("--container-width: 80rem;");
+  });
+
+  test("should fail on an invalid config file", () => {
+    const configPath = path.join(tmpDir, "figma-variables.config.json");
+    const outputPath = path.join(tmpDir, "output.css");
+    fs.writeFileSync(configPath, JSON.stringify({ skipPrefixes: "type-" }));
+
+    expect(() => {
+      execSync(`node ${path.join(__dirname, "..", "index.js")} ${originalPath} ${outputPath}`, {
+        cwd: tmpDir,
+        encoding: "utf-8",
+        stdio: "pipe",
+      });
+    }).toThrow('"skipPrefixes" must be an array of strings');
+    expect(fs.existsSync(outputPath)).toBe(false);
+  });
+
+  test("should keep the default output when the config is empty", () => {
+    const configPath = path.join(tmpDir, "figma-variables.config.json");
+    const outputPath = path.join(tmpDir, "output.css");
+    fs.writeFileSync(configPath, "{}");
+
+    execSync(`node ${path.join(__dirname, "..", "index.js")} ${originalPath} ${outputPath}`, {
+      cwd: tmpDir,
+      encoding: "utf-8",
+    });
+
+    expect(fs.readFileSync(outputPath, "utf-8")).toBe(fs.readFileSync(expectedPath, "utf-8"));
+  });
+});
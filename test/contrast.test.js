@@ -0,0 +1,126 @@
+import fs from "fs";
+import path from "path";
+import { execSync } from "child_process";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { apcaContrast, auditContrast, contrastRatio, formatAuditText, resolveColor } from "../lib/contrast.js";
+import { DEFAULT_CONFIG } from "../lib/config.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe("Contrast audit", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const auditPath = path.join(fixturesDir, "output.audit.css");
+
+  const black = { r: 0, g: 0, b: 0, alpha: 1 };
+  const white = { r: 1, g: 1, b: 1, alpha: 1 };
+
+  const processed = {
+    primitives: { "color-gray-50": "#f5f5f5", "color-gray-500": "#737373", "color-gray-900": "#171717" },
+    defaultMode: "light",
+    modes: {
+      light: {
+        "surface-background": "#ffffff",
+        "surface-primary": "var(--color-gray-50)",
+        "text-primary": "var(--color-gray-900)",
+        "icon-primary": "var(--color-gray-500)",
+        "text-muted": "var(--color-gray-500)",
+      },
+      dark: {
+        "surface-primary": "var(--color-gray-900)",
+        "text-primary": "var(--color-gray-50)",
+      },
+    },
+  };
+
+  afterEach(() => {
+    if (fs.existsSync(auditPath)) {
+      fs.unlinkSync(auditPath);
+    }
+  });
+
+  test("should compute WCAG 2.x and APCA contrast", () => {
+    expect(contrastRatio(black, white)).toBe(21);
+    expect(contrastRatio(white, white)).toBe(1);
+    expect(apcaContrast(black, white)).toBeCloseTo(106.04, 2);
+    expect(apcaContrast(white, black)).toBeCloseTo(-107.88, 2);
+  });
+
+  test("should resolve tokens through their var() chain", () => {
+    const variables = { a: "var(--b)", b: "var(--c)", c: "#000", d: "var(--missing, #fff)", e: "var(--e)" };
+
+    expect(resolveColor("a", variables)).toEqual(black);
+    expect(resolveColor("d", variables)).toEqual(white);
+    expect(resolveColor("e", variables)).toBeNull();
+  });
+
+  test("should pair text and icon tokens with the matching surface in every mode", () => {
+    const audit = auditContrast(processed);
+
+    expect(audit.pairs.map(({ mode, foreground, background }) => [mode, foreground, background])).toEqual([
+      ["light", "text-primary", "surface-primary"],
+      ["light", "icon-primary", "surface-primary"],
+      ["dark", "text-primary", "surface-primary"],
+      ["dark", "icon-primary", "surface-primary"],
+    ]);
+    expect(audit.failures).toEqual([]);
+  });
+
+  test("should report failing pairs against the configured level", () => {
+    const config = { ...DEFAULT_CONFIG, contrastLevel: "AAA", contrastPairs: { "text-muted": ["surface-primary"] } };
+    const audit = auditContrast(processed, config);
+
+    expect(audit.failures).toMatchObject([
+      { mode: "light", foreground: "text-muted", background: "surface-primary", ratio: 4.35, required: 7 },
+      { mode: "dark", foreground: "text-muted", background: "surface-primary", ratio: 3.78, required: 7 },
+    ]);
+    expect(formatAuditText(audit)).toContain("2 of 6 pairs fail WCAG AAA");
+  });
+
+  test("should check APCA when enabled", () => {
+    const audit = auditContrast(processed, { ...DEFAULT_CONFIG, apca: true });
+
+    expect(audit.pairs[0]).toMatchObject({ apca: 98.7, apcaRequired: 60, pass: true });
+    expect(audit.failures).toMatchObject([
+      { mode: "dark", foreground: "icon-primary", ratio: 3.78, required: 3, apca: -27.7, apcaRequired: 45 },
+    ]);
+  });
+
+  test("should composite translucent colors", () => {
+    const audit = auditContrast({
+      primitives: {},
+      defaultMode: "light",
+      modes: { light: { "surface-background": "#000000", "surface-glass": "rgba(255 255 255 / 0)", "text-glass": "#ffffff" } },
+    });
+
+    expect(audit.pairs[0]).toMatchObject({ foreground: "text-glass", ratio: 21, pass: true });
+  });
+
+  test("should exit with an error when pairs fail", () => {
+    fs.writeFileSync(
+      auditPath,
+      `:root {
+  --surface-surface-card-light-mode: #ffffff;
+  --text-text-card-light-mode: #eeeeee;
+  --surface-surface-background-light-mode: #ffffff;
+  --icon-icon-background-light-mode: #000000;
+  --text-text-foreground-light-mode: #000000;
+}
+`,
+    );
+    const cli = `node ${path.join(__dirname, "..", "index.js")} audit ${auditPath}`;
+
+    let error;
+    try {
+      execSync(cli, { encoding: "utf-8", stdio: "pipe" });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.status).toBe(1);
+    expect(error.stdout).toContain("light  --text-card  --surface-card  1.16:1  4.5:1");
+
+    const json = JSON.parse(execSync(`${cli} --format json || true`, { encoding: "utf-8" }));
+    expect(json.summary).toEqual({ pairs: 2, failures: 1, skipped: 0 });
+  });
+});
@@ -0,0 +1,87 @@
+import { findConflicts, parseCustomProperties, tokenize } from "../lib/css-parser.js";
+import { InputError, parseVariables, transform } from "../index.js";
+
+describe("CSS parser", () => {
+  test("should tokenize comments, strings and punctuation with line numbers", () => {
+    const tokens = tokenize('/* a;b */\n--x: "c;d";').filter((token) => token.type !== "whitespace");
+
+    expect(tokens.map(({ type, value, line }) => [type, value, line])).toEqual([
+      ["comment", "/* a;b */", 1],
+      ["text", "--x", 2],
+      [":", ":", 2],
+      ["string", '"c;d"', 2],
+      [";", ";", 2],
+    ]);
+  });
+
+  test("should keep semicolons and braces inside strings and parentheses", () => {
+    const css = `:root {
+  --icon: url(data:image/svg+xml;utf8,<svg/>);
+  --label: "a; b } c";
+  --font: "Open Sans", sans-serif;
+}
+`;
+
+    expect(parseVariables(css)).toEqual({
+      icon: "url(data:image/svg+xml;utf8,<svg/>)",
+      label: '"a; b } c"',
+      font: '"Open Sans", sans-serif',
+    });
+  });
+
+  test("should ignore declarations inside comments", () => {
+    const css = `/* --old: 1px; */
+:root {
+  /* COLLECTION: --fake: red; */
+  --spacing-1: 4px /* rounded */;
+}
+`;
+
+    expect(parseVariables(css)).toEqual({ "spacing-1": "4px" });
+  });
+
+  test("should track lines and selector / at-rule context", () => {
+    const css = `:root {
+  --a: 1px;
+}
+
+@media (prefers-color-scheme: dark) {
+  :root,
+  .dark {
+    --a: 2px;
+  }
+}
+`;
+
+    expect(parseCustomProperties(css)).toEqual([
+      { name: "a", value: "1px", line: 2, context: [":root"] },
+      { name: "a", value: "2px", line: 8, context: ["@media (prefers-color-scheme: dark)", ":root,\n  .dark"] },
+    ]);
+  });
+
+  test("should report conflicting duplicates and keep the first value", () => {
+    const css = ":root {\n  --color-gray-50: #fff;\n  --color-gray-50: #fff;\n  --color-gray-50: #eee;\n}\n";
+    const declarations = parseCustomProperties(css);
+
+    expect(findConflicts(declarations)).toEqual([
+      { name: "color-gray-50", first: declarations[0], duplicate: declarations[2] },
+    ]);
+    expect(parseVariables(css)).toEqual({ "color-gray-50": "#fff" });
+    expect(transform(css).warnings).toEqual([
+      {
+        code: "DUPLICATE_VARIABLE",
+        message:
+          "--color-gray-50 is declared with different values: #fff (line 2 in :root) and #eee (line 4 in :root); using the first",
+        variable: "color-gray-50",
+        line: 4,
+      },
+    ]);
+  });
+
+  test("should reject malformed CSS", () => {
+    expect(() => parseCustomProperties(":root { --a: 1px;")).toThrow(InputError);
+    expect(() => parseCustomProperties(":root { --a: 1px; }\n}")).toThrow('Unexpected "}" on line 2');
+    expect(() => parseCustomProperties("/* open")).toThrow("Unterminated comment on line 1");
+    expect(() => parseCustomProperties(':root { --a: "open; }')).toThrow("Unterminated string");
+  });
+});
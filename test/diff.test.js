@@ -0,0 +1,117 @@
+import fs from "fs";
+import path from "path";
+import { execSync } from "child_process";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { diffTokens, flattenTokens, formatDiffMarkdown, formatDiffText } from "../lib/diff.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe("Token diff", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const originalPath = path.join(fixturesDir, "original.css");
+  const changedPath = path.join(fixturesDir, "output.changed.css");
+
+  const previous = {
+    primitives: { "color-primary-500": "#253fe4", "color-primary-700": "#1a25d6", "spacing-4": "1rem" },
+    modes: {
+      light: { "surface-background": "var(--color-primary-500)", "surface-primary-hover": "var(--color-primary-700)" },
+      dark: { "surface-background": "#000000", "surface-primary-hover": "var(--color-primary-500)" },
+    },
+  };
+
+  const next = {
+    primitives: { "color-primary-500": "#1a25d6", "color-brand-700": "#1a25d6", "color-primary-600": "#1f2fe0" },
+    modes: {
+      light: { "surface-background": "var(--color-primary-500)", "surface-primary-hover": "var(--color-brand-700)" },
+      dark: { "surface-background": "#111111", "surface-primary-hover": "var(--color-primary-500)" },
+    },
+  };
+
+  afterEach(() => {
+    if (fs.existsSync(changedPath)) {
+      fs.unlinkSync(changedPath);
+    }
+  });
+
+  test("should key semantic tokens by mode", () => {
+    expect([...flattenTokens(previous).keys()]).toEqual([
+      "--color-primary-500",
+      "--color-primary-700",
+      "--spacing-4",
+      "--surface-background (light)",
+      "--surface-primary-hover (light)",
+      "--surface-background (dark)",
+      "--surface-primary-hover (dark)",
+    ]);
+    expect(flattenTokens(previous).get("--surface-background (dark)")).toEqual({
+      name: "surface-background",
+      mode: "dark",
+      group: "surface",
+      value: "#000000",
+    });
+  });
+
+  test("should report added, removed, renamed and changed tokens", () => {
+    const diff = diffTokens(previous, next);
+
+    expect(diff.added.map(({ token }) => token)).toEqual(["--color-primary-600"]);
+    expect(diff.removed.map(({ token }) => token)).toEqual(["--spacing-4"]);
+    expect(diff.renamed).toEqual([
+      {
+        token: "--color-brand-700",
+        name: "color-brand-700",
+        mode: null,
+        group: "color-brand",
+        value: "#1a25d6",
+        previousName: "color-primary-700",
+        previousToken: "--color-primary-700",
+      },
+    ]);
+    // References to the renamed token are not a change
+    expect(diff.changed.map(({ token, from, to }) => [token, from, to])).toEqual([
+      ["--color-primary-500", "#253fe4", "#1a25d6"],
+      ["--surface-background (dark)", "#000000", "#111111"],
+    ]);
+  });
+
+  test("should report no changes for identical results", () => {
+    const diff = diffTokens(previous, previous);
+
+    expect(diff).toEqual({ added: [], removed: [], renamed: [], changed: [] });
+    expect(formatDiffText(diff)).toBe("No token changes\n");
+  });
+
+  test("should format the diff per group as text and Markdown", () => {
+    const diff = diffTokens(previous, next);
+
+    expect(formatDiffText(diff)).toContain(
+      "color-primary\n  + --color-primary-600: #1f2fe0\n  ~ --color-primary-500: #253fe4 -> #1a25d6\n",
+    );
+    expect(formatDiffText(diff)).toContain("  > --color-primary-700 -> --color-brand-700: #1a25d6\n");
+    expect(formatDiffText(diff)).toMatch(/1 added, 1 removed, 1 renamed, 2 changed\n$/);
+
+    const markdown = formatDiffMarkdown(diff);
+    expect(markdown).toMatch(/^## Token changes\n/);
+    expect(markdown).toContain("### surface\n");
+    expect(markdown).toContain("| Changed | `--surface-background` | dark | `#000000` | `#111111` |\n");
+  });
+
+  test("should compare two exports with the diff command", () => {
+    const originalCSS = fs.readFileSync(originalPath, "utf-8");
+    fs.writeFileSync(changedPath, originalCSS.replace("--color-primary-500: #253fe4;", "--color-primary-500: #111111;"));
+
+    const cli = `node ${path.join(__dirname, "..", "index.js")} diff ${originalPath} ${changedPath}`;
+
+    expect(execSync(cli, { encoding: "utf-8" })).toContain("~ --color-primary-500: #253fe4 -> #111111");
+
+    const json = JSON.parse(execSync(`${cli} --format json`, { encoding: "utf-8" }));
+    expect(json.summary).toEqual({ added: 0, removed: 0, renamed: 0, changed: 1 });
+    expect(json.changed[0]).toMatchObject({ name: "color-primary-500", group: "color-primary", to: "#111111" });
+
+    expect(() => execSync(`${cli} --format xml`, { encoding: "utf-8", stdio: "pipe" })).toThrow(
+      'Invalid diff format "xml"',
+    );
+  });
+});
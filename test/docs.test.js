@@ -0,0 +1,92 @@
+import fs from "fs";
+import path from "path";
+import { execSync } from "child_process";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { generateDocs, resolveToken } from "../lib/docs.js";
+import { generateOutput, transform } from "../index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe("Documentation page", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const docsPath = path.join(fixturesDir, "output.docs.html");
+
+  const css = `:root {
+  --color-gray-50: #f5f5f5;
+  --color-gray-950: #292929;
+  --color-primary-500: #253fe4;
+  --spacing-4: 16px;
+  --radii-md: 8px;
+  --surface-surface-background-light-mode: var(--color-gray-50);
+  --surface-surface-background-dark-mode: var(--color-gray-950);
+  --text-text-primary-default-light-mode: var(--color-gray-950);
+  --text-text-primary-default-dark-mode: #ffffff;
+}
+`;
+
+  afterEach(() => {
+    if (fs.existsSync(docsPath)) {
+      fs.unlinkSync(docsPath);
+    }
+  });
+
+  test("should resolve semantic tokens to their primitive", () => {
+    const lookup = { a: "var(--b)", b: "var(--c)", c: "#000", d: "var(--missing, 1px)", e: "var(--e)" };
+
+    expect(resolveToken("a", lookup)).toEqual({ reference: "c", value: "#000" });
+    expect(resolveToken("c", lookup)).toEqual({ reference: null, value: "#000" });
+    expect(resolveToken("d", lookup)).toEqual({ reference: null, value: "1px" });
+    expect(resolveToken("e", lookup)).toEqual({ reference: "e", value: "var(--e)" });
+  });
+
+  test("should render palettes, scales and semantic tokens per mode", () => {
+    const { tokens } = transform(css);
+    const html = generateDocs(tokens, generateOutput(tokens));
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain("<style>\n@layer globals {\n  :root {\n    --color-gray-50: #f5f5f5;");
+    expect(html).toContain("<h3>color-gray</h3>");
+    expect(html).toContain('<span class="bar" style="width: var(--spacing-4)"></span>');
+    expect(html).toContain('<span class="box" style="border-radius: var(--radii-md)"></span>');
+    expect(html).toContain("<tr><th>Token</th><th>light</th><th>dark</th></tr>");
+    expect(html).toContain(
+      '<tr><td><code>--surface-background</code></td><td><span class="chip" style="background: #f5f5f5"></span>' +
+        "<code>--color-gray-50</code><br><code>#f5f5f5</code></td>",
+    );
+    expect(html).toContain(
+      '<tr><td><code>--text-primary-default</code></td><td><span class="chip" style="background: #292929"></span>' +
+        "<code>--color-gray-950</code><br><code>#292929</code></td>" +
+        '<td><span class="chip" style="background: #ffffff"></span><code>#ffffff</code></td></tr>',
+    );
+  });
+
+  test("should preview font sizes at their min and max", () => {
+    const fixture = fs.readFileSync(path.join(fixturesDir, "original.css"), "utf-8");
+    const { tokens } = transform(fixture);
+    const html = generateDocs(tokens, "");
+
+    expect(html).toContain(
+      '<tr><td><code>--font-size-step-0</code></td><td><div class="sample" style="font-size: 1.125rem">The quick brown fox</div>' +
+        '<code>1.125rem (18px)</code></td><td><div class="sample" style="font-size: 1.25rem">The quick brown fox</div>' +
+        "<code>1.25rem (20px)</code></td></tr>",
+    );
+  });
+
+  test("should write the page with --docs", () => {
+    const cli = `node ${path.join(__dirname, "..", "index.js")}`;
+    const inputPath = path.join(fixturesDir, "original.css");
+    const outputPath = path.join(fixturesDir, "output.docs.css");
+
+    try {
+      const output = execSync(`${cli} ${inputPath} ${outputPath} --format tailwind --docs ${docsPath}`, { encoding: "utf-8" });
+
+      expect(output).toContain(`Docs:   ${docsPath}`);
+      // The previews use the CSS custom properties whatever the output format
+      expect(fs.readFileSync(docsPath, "utf-8")).toContain("--color-primary-500: #253fe4;");
+    } finally {
+      fs.rmSync(outputPath, { force: true });
+    }
+  });
+});
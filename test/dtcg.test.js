@@ -0,0 +1,60 @@
+import fs from "fs";
+import path from "path";
+import { execSync } from "child_process";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { buildTokenTree, getTokenPath } from "../lib/dtcg.js";
+import { parseVariables, processVariables } from "../index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe("DTCG output", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const originalPath = path.join(fixturesDir, "original.css");
+  const outputPath = path.join(fixturesDir, "output.tokens.json");
+  const originalCSS = fs.readFileSync(originalPath, "utf-8");
+  const tree = buildTokenTree(processVariables(parseVariables(originalCSS), originalCSS));
+
+  afterEach(() => {
+    if (fs.existsSync(outputPath)) {
+      fs.unlinkSync(outputPath);
+    }
+  });
+
+  test("should derive nested paths from the groups", () => {
+    expect(getTokenPath("color-primary-500", "color-primary")).toEqual(["color", "primary", "500"]);
+    expect(getTokenPath("font-size-step-0", "font-size")).toEqual(["font-size", "step-0"]);
+    expect(getTokenPath("surface-primary-default", "surface")).toEqual(["surface", "primary-default"]);
+  });
+
+  test("should type primitive values", () => {
+    expect(tree.color.primary["500"]).toEqual({ $type: "color", $value: "#253fe4" });
+    expect(tree.spacing["1"]).toEqual({ $type: "dimension", $value: { value: 0.25, unit: "rem" } });
+    expect(tree.radii.xs).toEqual({ $type: "dimension", $value: { value: 0, unit: "px" } });
+    expect(tree["font-family"].body).toEqual({ $type: "fontFamily", $value: "Open Sans" });
+    expect(tree["font-size"]["step-0"].$value).toMatch(/^clamp\(/);
+  });
+
+  test("should turn var() references into aliases with every mode", () => {
+    expect(tree.surface["primary-hover"]).toEqual({
+      $type: "color",
+      $value: "{color.primary.700}",
+      $extensions: {
+        "com.netzstrategen.figma-variables": {
+          modes: { light: "{color.primary.700}", dark: "{color.primary.600}" },
+        },
+      },
+    });
+    expect(tree.outline["quinary"].$extensions["com.netzstrategen.figma-variables"].modes.dark).toBe("#737373");
+  });
+
+  test("should write a tokens file with --format dtcg", () => {
+    execSync(`node ${path.join(__dirname, "..", "index.js")} ${originalPath} ${outputPath} --format dtcg`, {
+      encoding: "utf-8",
+    });
+
+    const output = JSON.parse(fs.readFileSync(outputPath, "utf-8"));
+    expect(output).toEqual(tree);
+  });
+});
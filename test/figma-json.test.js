@@ -0,0 +1,133 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execSync } from "child_process";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { figmaVariablesToCSS, toCSSName, toCSSColor, toModeSuffix } from "../lib/figma-json.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe("Figma Variables JSON input", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const jsonPath = path.join(fixturesDir, "figma-variables.json");
+  const expectedPath = path.join(fixturesDir, "expected.css");
+  let tmpDir;
+
+  const collection = (id, name, modes, variableIds) => ({
+    id,
+    name,
+    modes: modes.map((modeName, i) => ({ modeId: `${id}:${i}`, name: modeName })),
+    defaultModeId: `${id}:0`,
+    variableIds,
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "figma-variables-json-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test("should convert names and colors", () => {
+    expect(toCSSName("Color/Primary 500")).toBe("color-primary-500");
+    expect(toCSSName("spacing/0.5")).toBe("spacing-0_5");
+    expect(toCSSColor({ r: 1, g: 0.5, b: 0, a: 1 })).toBe("#ff8000");
+    expect(toCSSColor({ r: 1, g: 1, b: 1, a: 0 })).toBe("rgba(255 255 255 / 0)");
+  });
+
+  test("should convert collections, modes and aliases", () => {
+    const css = figmaVariablesToCSS({
+      meta: {
+        variableCollections: {
+          p: collection("p", "Primitives", ["Value"], ["v1", "v2", "v3"]),
+          s: collection("s", "Styleguide", ["Light mode", "Dark mode"], ["v4"]),
+        },
+        variables: {
+          v1: {
+            name: "color/gray/50",
+            resolvedType: "COLOR",
+            variableCollectionId: "p",
+            valuesByMode: { "p:0": { r: 1, g: 1, b: 1, a: 1 } },
+          },
+          v2: {
+            name: "spacing/1",
+            resolvedType: "FLOAT",
+            variableCollectionId: "p",
+            valuesByMode: { "p:0": 4.000000476837158 },
+          },
+          v3: {
+            name: "opacity/50",
+            resolvedType: "FLOAT",
+            scopes: ["OPACITY"],
+            variableCollectionId: "p",
+            valuesByMode: { "p:0": 0.5 },
+          },
+          v4: {
+            name: "surface/surface-background",
+            resolvedType: "COLOR",
+            variableCollectionId: "s",
+            valuesByMode: { "s:0": { type: "VARIABLE_ALIAS", id: "v1" }, "s:1": { r: 0, g: 0, b: 0, a: 1 } },
+          },
+        },
+      },
+    });
+
+    expect(css).toContain("  /* PRIMITIVES */\n");
+    expect(css).toContain("  --color-gray-50: #ffffff;\n");
+    expect(css).toContain("  --spacing-1: 4px;\n  --spacing-1-rem: 0.25rem;\n");
+    expect(css).toContain("  --opacity-50: 0.5;\n");
+    expect(css).toContain("  --surface-surface-background-light-mode: var(--color-gray-50);\n");
+    expect(css).toContain("  --surface-surface-background-dark-mode: #000000;\n");
+  });
+
+  test("should add the -mode suffix to mode names without it", () => {
+    expect(toModeSuffix("Light mode")).toBe("light-mode");
+    expect(toModeSuffix("Dark")).toBe("dark-mode");
+    expect(toModeSuffix("High contrast")).toBe("high-contrast-mode");
+
+    const css = figmaVariablesToCSS({
+      variableCollections: {
+        p: collection("p", "Primitives", ["Value"], ["v1"]),
+        s: collection("s", "Styleguide", ["Light", "Dark"], ["v2", "v3"]),
+      },
+      variables: {
+        v1: { name: "color/gray/50", resolvedType: "COLOR", variableCollectionId: "p", valuesByMode: { "p:0": { r: 1, g: 1, b: 1, a: 1 } } },
+        v2: {
+          name: "surface/surface-background",
+          resolvedType: "COLOR",
+          variableCollectionId: "s",
+          valuesByMode: { "s:0": { type: "VARIABLE_ALIAS", id: "v1" }, "s:1": { r: 0, g: 0, b: 0, a: 1 } },
+        },
+        v3: {
+          name: "surface/surface-raised",
+          resolvedType: "COLOR",
+          variableCollectionId: "s",
+          valuesByMode: { "s:0": { type: "VARIABLE_ALIAS", id: "v2" }, "s:1": { type: "VARIABLE_ALIAS", id: "v2" } },
+        },
+      },
+    });
+
+    expect(css).toContain("  --surface-surface-background-light-mode: var(--color-gray-50);\n");
+    expect(css).toContain("  --surface-surface-background-dark-mode: #000000;\n");
+    expect(css).toContain("  --surface-surface-raised-dark-mode: var(--surface-surface-background-dark-mode);\n");
+  });
+
+  test("should reject JSON that is not a Figma variables response", () => {
+    expect(() => figmaVariablesToCSS({ foo: 1 })).toThrow("Invalid Figma variables JSON");
+  });
+
+  test("should produce the same CSS as the CSS export", () => {
+    const outputPath = path.join(tmpDir, "output.css");
+    execSync(`node ${path.join(__dirname, "..", "index.js")} ${jsonPath} ${outputPath}`, {
+      encoding: "utf-8",
+    });
+
+    const output = fs.readFileSync(outputPath, "utf-8");
+    const expected = fs.readFileSync(expectedPath, "utf-8");
+
+    expect(output).toBe(expected);
+  });
+});
@@ -0,0 +1,118 @@
+import { transform } from "../index.js";
+import { toRem } from "../lib/fluid.js";
+
+describe("Fluid tokens", () => {
+  const viewport = '  --viewport-min-width: "390";\n  --viewport-max-width: "1440";\n';
+
+  test("should turn spacing min/max variants into clamp() tokens", () => {
+    const css = `:root {
+${viewport}  --spacing-min-s: 16px;
+  --spacing-min-s-rem: 1rem;
+  --spacing-max-s: 20px;
+  --spacing-max-s-rem: 1.25rem;
+  --spacing-1: 4px;
+}
+`;
+    const { css: output, tokens, warnings } = transform(css);
+
+    expect(tokens.primitives["spacing-s"]).toBe("clamp(1rem, 0.9071rem + 0.3810vw, 1.25rem)");
+    expect(tokens.primitives["spacing-1"]).toBe("4px");
+    expect(output).not.toContain("--spacing-min-s");
+    expect(output).not.toContain("--spacing-max-s");
+    expect(warnings).toEqual([]);
+  });
+
+  test("should keep exported space pairs", () => {
+    const css = `:root {
+${viewport}  --spacing-min-s-l: 16px;
+  --spacing-max-s-l: 32px;
+}
+`;
+
+    expect(transform(css).tokens.primitives).toEqual({
+      "spacing-s-l": "clamp(1rem, 0.6286rem + 1.5238vw, 2rem)",
+    });
+  });
+
+  test("should build space pairs from fluidPairs", () => {
+    const css = `:root {
+${viewport}  --spacing-min-s: 16px;
+  --spacing-max-s: 20px;
+  --spacing-min-l: 24px;
+  --spacing-max-l: 32px;
+}
+`;
+    const { tokens, warnings } = transform(css, { fluidPairs: { spacing: ["s-l"] } });
+
+    expect(tokens.primitives["spacing-s-l"]).toBe("clamp(1rem, 0.6286rem + 1.5238vw, 2rem)");
+    expect(warnings).toEqual([]);
+  });
+
+  test("should warn about pairs naming unknown sizes", () => {
+    const css = `:root {
+${viewport}  --spacing-min-s: 16px;
+  --spacing-max-s: 20px;
+}
+`;
+    const { tokens, warnings } = transform(css, { fluidPairs: { spacing: ["s-xl"] } });
+
+    expect(tokens.primitives["spacing-s-xl"]).toBeUndefined();
+    expect(warnings).toMatchObject([{ code: "UNKNOWN_FLUID_PAIR", variable: "spacing-s-xl" }]);
+  });
+
+  test("should leave variables without a counterpart alone", () => {
+    const css = `:root {
+${viewport}  --container-max-width: 1280px;
+  --radii-min-md: 4px;
+}
+`;
+
+    expect(transform(css).tokens.primitives).toEqual({
+      "container-max-width": "1280px",
+      "radii-min-md": "4px",
+    });
+  });
+
+  test("should only convert the configured families", () => {
+    const css = `:root {
+${viewport}  --spacing-min-s: 16px;
+  --spacing-max-s: 20px;
+}
+`;
+    const { tokens } = transform(css, { fluidFamilies: ["font-size"] });
+
+    expect(tokens.primitives).toEqual({ "spacing-min-s": "16px", "spacing-max-s": "20px" });
+  });
+
+  test("should use the configured root size, precision and unit", () => {
+    const css = `:root {
+${viewport}  --spacing-min-s: 20px;
+  --spacing-max-s: 25px;
+}
+`;
+    const { tokens } = transform(css, { rootFontSize: 10, clampPrecision: 2, fluidUnit: "cqi" });
+
+    expect(tokens.primitives["spacing-s"]).toBe("clamp(2rem, 1.81rem + 0.48cqi, 2.5rem)");
+  });
+
+  test("should warn about font sizes that fail WCAG 1.4.4 at 200% zoom", () => {
+    const css = `:root {
+${viewport}  --font-size-min-step-0-rem: 1rem;
+  --font-size-max-step-0-rem: 1.25rem;
+  --font-size-min-step-5-rem: 1.5rem;
+  --font-size-max-step-5-rem: 4rem;
+}
+`;
+
+    expect(transform(css).warnings).toMatchObject([{ code: "WCAG_ZOOM", variable: "font-size-step-5" }]);
+    expect(transform(css, { wcagZoomCheck: false }).warnings).toEqual([]);
+  });
+
+  test("should convert px and rem sizes", () => {
+    expect(toRem("24px")).toBe(1.5);
+    expect(toRem("1.25rem")).toBe(1.25);
+    expect(toRem("0")).toBe(0);
+    expect(toRem("auto")).toBeNull();
+    expect(toRem("15px", { rootFontSize: 10, clampPrecision: 4 })).toBe(1.5);
+  });
+});
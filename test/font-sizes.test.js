@@ -0,0 +1,149 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { parseVariables, processFontSizes, transform } from "../index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe("Font sizes", () => {
+  const viewport = '  --viewport-min-width: "390";\n  --viewport-max-width: "1440";\n';
+
+  test("should pair min and max by step number regardless of line order", () => {
+    const css = `:root {
+${viewport}  --font-size-max-step-1-rem: 1.5rem;
+  --font-size-min-step-0-rem: 1rem;
+  --font-size-min-step-1-rem: 1.25rem;
+  --font-family-body: "Open Sans";
+  --font-size-max-step-0-rem: 1.125rem;
+}
+`;
+
+    expect(processFontSizes(parseVariables(css), css)).toEqual({
+      "font-size-step-0": "clamp(1rem, 0.9536rem + 0.1905vw, 1.125rem)",
+      "font-size-step-1": "clamp(1.25rem, 1.1571rem + 0.3810vw, 1.5rem)",
+    });
+  });
+
+  test("should number repeated step names below step 0 as negative steps", () => {
+    const css = `:root {
+${viewport}  --font-size-min-step-1-rem: 1.25rem;
+  --font-size-max-step-1-rem: 1.5rem;
+  --font-size-min-step-0-rem: 1rem;
+  --font-size-max-step-0-rem: 1.125rem;
+  --font-size-min-step-1-rem: 0.875rem;
+  --font-size-max-step-1-rem: 0.9rem;
+}
+`;
+
+    expect(Object.keys(processFontSizes(parseVariables(css), css))).toEqual([
+      "font-size-step--1",
+      "font-size-step-0",
+      "font-size-step-1",
+    ]);
+  });
+
+  test("should convert px-only exports to rem", () => {
+    const css = `:root {
+${viewport}  --font-size-min-step-0: 16px;
+  --font-size-max-step-0: 18px;
+}
+`;
+    const { css: output, tokens, warnings } = transform(css);
+
+    expect(tokens.primitives["font-size-step-0"]).toBe("clamp(1rem, 0.9536rem + 0.1905vw, 1.125rem)");
+    expect(output).not.toContain("--font-size-min-step-0");
+    expect(warnings).toEqual([]);
+  });
+
+  test("should use fixed sizes with a warning when a side is missing", () => {
+    const css = `:root {
+${viewport}  --font-size-min-step-0-rem: 1rem;
+  --font-size-max-step-0-rem: 1.125rem;
+  --font-size-min-step-1-rem: 1.25rem;
+}
+`;
+    const { tokens, warnings } = transform(css);
+
+    expect(tokens.primitives["font-size-step-1"]).toBe("1.25rem");
+    expect(warnings).toEqual([
+      {
+        code: "UNPAIRED_FONT_SIZE",
+        message: "--font-size-step-1 has a min but no max size; using a fixed 1.25rem",
+        variable: "font-size-step-1",
+      },
+    ]);
+  });
+
+  test("should use fixed sizes with a warning when the viewport is missing", () => {
+    const css = ":root {\n  --font-size-min-step-0-rem: 1rem;\n  --font-size-max-step-0-rem: 1.125rem;\n}\n";
+    const { tokens, warnings } = transform(css);
+
+    expect(tokens.primitives["font-size-step-0"]).toBe("1rem");
+    expect(warnings.map(({ code }) => code)).toEqual(["MISSING_VIEWPORT"]);
+    expect(() => transform(css, { strict: true })).toThrow("--viewport-min-width or --viewport-max-width is missing");
+  });
+
+  describe("type scale", () => {
+    const typeScale = `  --type-min-size: "18";
+  --type-max-size: "20";
+  --type-min-scale: "1.1";
+  --type-max-scale: "1.175";
+  --type-positive-steps: "2";
+  --type-negative-steps: "1";
+`;
+
+    test("should compute the steps from the type-* settings when none are exported", () => {
+      const css = `:root {\n${viewport}${typeScale}}\n`;
+      const { tokens, warnings } = transform(css);
+
+      expect(Object.keys(tokens.primitives)).toEqual([
+        "font-size-step--1",
+        "font-size-step-0",
+        "font-size-step-1",
+        "font-size-step-2",
+      ]);
+      expect(tokens.primitives["font-size-step-0"]).toBe("clamp(1.125rem, 1.0786rem + 0.1905vw, 1.25rem)");
+      expect(tokens.primitives["font-size-step--1"]).toBe("clamp(1.0225rem, 1.0072rem + 0.0629vw, 1.0638rem)");
+      expect(warnings).toEqual([]);
+    });
+
+    test("should match the steps of the Figma export", () => {
+      const original = fs.readFileSync(path.join(__dirname, "fixtures", "original.css"), "utf-8");
+      const withoutSteps = original
+        .split("\n")
+        .filter((line) => !line.includes("--font-size-min-step-") && !line.includes("--font-size-max-step-"))
+        .join("\n");
+
+      expect(transform(withoutSteps).tokens.primitives).toEqual(transform(original).tokens.primitives);
+    });
+
+    test("should warn when exported steps disagree with the type scale", () => {
+      const css = `:root {
+${viewport}${typeScale}  --font-size-min-step-0-rem: 1.125rem;
+  --font-size-max-step-0-rem: 1.25rem;
+  --font-size-min-step-1-rem: 1.5rem;
+  --font-size-max-step-1-rem: 1.75rem;
+  --font-size-min-step-3-rem: 1.5rem;
+  --font-size-max-step-3-rem: 2rem;
+}
+`;
+      const { tokens, warnings } = transform(css);
+
+      expect(tokens.primitives["font-size-step-1"]).toBe("clamp(1.5rem, 1.4071rem + 0.3810vw, 1.75rem)");
+      expect(warnings).toEqual([
+        {
+          code: "TYPE_SCALE_MISMATCH",
+          message: "--font-size-step-1 is 1.5rem–1.75rem but the declared type scale gives 1.2375rem–1.4688rem",
+          variable: "font-size-step-1",
+        },
+        {
+          code: "TYPE_SCALE_MISMATCH",
+          message: "--font-size-step-3 is outside the declared type scale (step--1 to step-2)",
+          variable: "font-size-step-3",
+        },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execSync } from "child_process";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { InputError, transform } from "../index.js";
+import { expandGlob, resolveInputs } from "../lib/inputs.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe("Multiple inputs", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const originalCSS = fs.readFileSync(path.join(fixturesDir, "original.css"), "utf-8");
+  const expectedCSS = fs.readFileSync(path.join(fixturesDir, "expected.css"), "utf-8");
+
+  // The fixture split like a per-collection export: primitives and everything else
+  const lines = originalCSS.split("\n");
+  const primitivesCSS = `${lines.slice(0, 200).join("\n")}\n}\n`;
+  const semanticCSS = `:root {\n${lines.slice(200).join("\n")}`;
+
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "figma-variables-inputs-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(tmpDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, file), content);
+  };
+
+  test("should merge inputs into a single ordered output", () => {
+    const { css, warnings } = transform([
+      { file: "primitives.css", css: primitivesCSS },
+      { file: "styleguide.css", css: semanticCSS },
+    ]);
+
+    expect(css).toBe(expectedCSS);
+    expect(warnings).toEqual([]);
+  });
+
+  test("should keep the first definition and report conflicts with file and line", () => {
+    const { tokens, warnings } = transform([
+      { file: "primitives.css", css: ":root {\n  --color-primary-500: #253fe4;\n}\n" },
+      { file: "brand.css", css: ":root {\n  --spacing-1: 4px;\n  --color-primary-500: #111111;\n}\n" },
+    ]);
+
+    expect(tokens.primitives["color-primary-500"]).toBe("#253fe4");
+    expect(warnings).toEqual([
+      {
+        code: "DUPLICATE_VARIABLE",
+        message:
+          "--color-primary-500 is declared with different values: #253fe4 (primitives.css:2 in :root) and " +
+          "#111111 (brand.css:3 in :root); using the first",
+        variable: "color-primary-500",
+        file: "brand.css",
+        line: 3,
+      },
+    ]);
+  });
+
+  test("should keep the first file's font-size steps and report the conflict", () => {
+    const viewport = "  --viewport-min-width: 390;\n  --viewport-max-width: 1440;\n";
+    const steps = (min, max) => `  --font-size-min-step-0-rem: ${min};\n  --font-size-max-step-0-rem: ${max};\n`;
+    const { tokens, warnings } = transform([
+      { file: "a.css", css: `:root {\n${viewport}${steps("1rem", "1.25rem")}}\n` },
+      { file: "b.css", css: `:root {\n${steps("1.125rem", "1.5rem")}}\n` },
+    ]);
+
+    expect(tokens.primitives["font-size-step-0"]).toMatch(/^clamp\(1rem, .+, 1\.25rem\)$/);
+    expect(tokens.primitives["font-size-step-1"]).toBeUndefined();
+    expect(warnings.map(({ code, variable, file }) => [code, variable, file])).toEqual([
+      ["DUPLICATE_VARIABLE", "font-size-min-step-0-rem", "b.css"],
+      ["DUPLICATE_VARIABLE", "font-size-max-step-0-rem", "b.css"],
+    ]);
+  });
+
+  test("should tell unnamed inputs apart", () => {
+    const steps = (min, max) => `:root {\n  --font-size-min-step-0-rem: ${min};\n  --font-size-max-step-0-rem: ${max};\n}\n`;
+    const { tokens, warnings } = transform([steps("1rem", "1.25rem"), steps("1.125rem", "1.5rem")]);
+
+    expect(tokens.primitives["font-size-step-0"]).toBe("1rem");
+    expect(tokens.primitives["font-size-step-1"]).toBeUndefined();
+    expect(warnings.filter(({ code }) => code === "DUPLICATE_VARIABLE")).toEqual([
+      {
+        code: "DUPLICATE_VARIABLE",
+        message:
+          "--font-size-min-step-0-rem is declared with different values: 1rem (input 1:2 in :root) and " +
+          "1.125rem (input 2:2 in :root); using the first",
+        variable: "font-size-min-step-0-rem",
+        file: "input 2",
+        line: 2,
+      },
+      expect.objectContaining({ variable: "font-size-max-step-0-rem", file: "input 2", line: 3 }),
+    ]);
+  });
+
+  test("should name the file of a parse error", () => {
+    expect(() => transform([":root {}", { file: "broken.css", css: ":root {\n  --a: 1px;\n" }])).toThrow(
+      new InputError('broken.css: Unclosed block ":root" at the end of the input'),
+    );
+    expect(() => transform([])).toThrow(InputError);
+  });
+
+  test("should expand glob patterns in sorted order", () => {
+    write("figma/b-styleguide.css", "");
+    write("figma/a-primitives.css", "");
+    write("figma/typography/fonts.css", "");
+    write("figma/.hidden.css", "");
+    write("figma/notes.txt", "");
+
+    expect(expandGlob("figma/*.css", tmpDir)).toEqual(["figma/a-primitives.css", "figma/b-styleguide.css"]);
+    expect(expandGlob("figma/**/*.css", tmpDir)).toEqual([
+      "figma/a-primitives.css",
+      "figma/b-styleguide.css",
+      "figma/typography/fonts.css",
+    ]);
+  });
+
+  test("should resolve inputs in order without the output", () => {
+    write("figma/a.css", "");
+    write("figma/b.css", "");
+    write("figma/output.css", "");
+
+    expect(resolveInputs(["extra.css", "figma/*.css", "figma/a.css"], { cwd: tmpDir, exclude: ["figma/output.css"] })).toEqual([
+      "extra.css",
+      "figma/a.css",
+      "figma/b.css",
+    ]);
+    expect(() => resolveInputs(["missing/*.css"], { cwd: tmpDir })).toThrow("No input files match missing/*.css");
+    expect(() => resolveInputs(["figma/a.css"], { cwd: tmpDir, exclude: ["figma/a.css"] })).toThrow(
+      "figma/a.css is both an input and the output",
+    );
+  });
+
+  test("should merge several input files from the command line", () => {
+    write("figma/primitives.css", primitivesCSS);
+    write("figma/styleguide.css", semanticCSS);
+
+    const cli = `node ${path.join(__dirname, "..", "index.js")}`;
+    const output = execSync(`${cli} figma/primitives.css figma/styleguide.css output.css`, { cwd: tmpDir, encoding: "utf-8" });
+
+    expect(output).toContain("Input:  figma/primitives.css, figma/styleguide.css");
+    expect(fs.readFileSync(path.join(tmpDir, "output.css"), "utf-8")).toBe(expectedCSS);
+
+    execSync(`${cli} "figma/*.css" globbed.css`, { cwd: tmpDir, encoding: "utf-8" });
+    expect(fs.readFileSync(path.join(tmpDir, "globbed.css"), "utf-8")).toBe(expectedCSS);
+  });
+});
@@ -0,0 +1,67 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { generateJS, getObjectPath, resolveValue } from "../lib/js.js";
+import { parseVariables, processVariables, resolveConfig } from "../index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe("CSS-in-JS output", () => {
+  const originalCSS = fs.readFileSync(path.join(__dirname, "fixtures", "original.css"), "utf-8");
+  const processed = processVariables(parseVariables(originalCSS), originalCSS);
+  let tmpDir;
+
+  const importModule = async (source) => {
+    const modulePath = path.join(tmpDir, `theme-${Math.random().toString(36).slice(2)}.js`);
+    fs.writeFileSync(modulePath, source);
+    return import(modulePath);
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "figma-variables-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test("should derive object paths from the groups", () => {
+    expect(getObjectPath("color-primary-500", "color-primary")).toEqual(["colors", "primary", "500"]);
+    expect(getObjectPath("font-size-step-0", "font-size")).toEqual(["fontSize", "step0"]);
+    expect(getObjectPath("font-size-step--1", "font-size")).toEqual(["fontSize", "stepMinus1"]);
+    expect(getObjectPath("spacing-0_5", "spacing")).toEqual(["spacing", "0.5"]);
+    expect(getObjectPath("surface-primary-hover", "surface")).toEqual(["surface", "primaryHover"]);
+  });
+
+  test("should resolve var() chains", () => {
+    const lookup = { a: "var(--b)", b: "#fff", c: "var(--c)" };
+
+    expect(resolveValue("var(--a)", lookup)).toBe("#fff");
+    expect(resolveValue("var(--c)", lookup)).toBe("var(--c)");
+    expect(resolveValue("var(--missing)", lookup)).toBe("var(--missing)");
+  });
+
+  test("should emit var() references by default", async () => {
+    const { theme, modes, default: defaultExport } = await importModule(generateJS(processed));
+
+    expect(theme.colors.primary[500]).toBe("var(--color-primary-500)");
+    expect(theme.spacing[4]).toBe("var(--spacing-4)");
+    expect(theme.fontSize.step0).toBe("var(--font-size-step-0)");
+    expect(theme.surface.primaryHover).toBe("var(--surface-primary-hover)");
+    expect(modes.dark.surface.primaryHover).toBe("var(--color-primary-600)");
+    expect(defaultExport).toBe(theme);
+  });
+
+  test("should emit resolved values in raw mode", async () => {
+    const config = resolveConfig({ jsValues: "raw" });
+    const { theme, modes } = await importModule(generateJS(processed, config));
+
+    expect(theme.colors.primary[500]).toBe("#253fe4");
+    expect(theme.spacing["0.5"]).toBe("0.125rem");
+    expect(theme.surface.primaryHover).toBe("#2f34a7");
+    expect(modes.dark.surface.primaryHover).toBe("#1a25d6");
+  });
+});
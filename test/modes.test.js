@@ -0,0 +1,149 @@
+import { detectModes, processVariables, generateOutput, resolveConfig } from "../index.js";
+
+describe("Named modes", () => {
+  const variables = {
+    "color-gray-50": "#f5f5f5",
+    "color-gray-950": "#292929",
+    "surface-surface-background-light-mode": "var(--color-gray-50)",
+    "surface-surface-background-dark-mode": "var(--color-gray-950)",
+    "surface-surface-background-high-contrast-mode": "#ffffff",
+    "surface-surface-background-brand-b-mode": "var(--color-gray-50)",
+    "text-text-primary-default-light-mode": "var(--color-gray-950)",
+    "text-text-primary-default-dark-mode": "var(--color-gray-50)",
+    "text-text-primary-default-high-contrast-mode": "#000000",
+    "text-text-primary-default-brand-b-mode": "var(--color-gray-950)",
+    "viewport-min-width": '"390"',
+    "viewport-max-width": '"1440"',
+  };
+
+  test("should detect mode names with dashes", () => {
+    expect(detectModes(Object.keys(variables))).toEqual(["light", "dark", "high-contrast", "brand-b"]);
+  });
+
+  test("should keep sibling modes apart", () => {
+    const names = [
+      "surface-background-high-contrast-mode",
+      "text-primary-high-contrast-mode",
+      "surface-background-low-contrast-mode",
+      "text-primary-low-contrast-mode",
+      "surface-background-light-mode",
+      "text-primary-default-light-mode",
+      "text-primary-hover-light-mode",
+    ];
+
+    expect(detectModes(names)).toEqual(["high-contrast", "low-contrast", "light"]);
+  });
+
+  test("should not take token segments into the mode name", () => {
+    const tokens = ["surface-primary-default", "text-primary-default"];
+    const names = (modes) => modes.flatMap((mode) => tokens.map((token) => `${token}-${mode}-mode`));
+
+    expect(detectModes(names(["light", "dark"]))).toEqual(["light", "dark"]);
+    expect(detectModes(["surface-primary-light-mode", "surface-primary-dark-mode", "text-primary-light-mode", "text-primary-dark-mode"])).toEqual([
+      "light",
+      "dark",
+    ]);
+    expect(detectModes(names(["light", "contrast"]))).toEqual(["light", "contrast"]);
+    expect(detectModes(names(["light", "high-contrast"]))).toEqual(["light", "high-contrast"]);
+    expect(detectModes(names(["contrast"]))).toEqual(["contrast"]);
+  });
+
+  test("should keep a segment shared by sibling modes in their names", () => {
+    const tokens = ["surface-primary-default", "text-primary-default"];
+    const names = ["light", "brand-b", "brand-c"].flatMap((mode) => tokens.map((token) => `${token}-${mode}-mode`));
+    const output = generateOutput(processVariables(Object.fromEntries(names.map((name) => [name, "#ffffff"])), ""));
+
+    expect(detectModes(names)).toEqual(["light", "brand-b", "brand-c"]);
+    expect(output).toContain('  [data-theme="brand-b"] {\n    --surface-primary-default: #ffffff;\n');
+    expect(output).not.toContain("--surface-primary-default-brand");
+  });
+
+  test("should use the configured mode names", () => {
+    const config = resolveConfig({ modes: ["contrast"] });
+
+    expect(detectModes(Object.keys(variables), config)).toEqual(["contrast"]);
+  });
+
+  test("should separate variables per mode", () => {
+    const processed = processVariables(variables, "");
+
+    expect(Object.keys(processed.modes)).toEqual(["light", "dark", "high-contrast", "brand-b"]);
+    expect(processed.modes["high-contrast"]["surface-background"]).toBe("#ffffff");
+    expect(processed.lightMode).toBe(processed.modes.light);
+    expect(processed.darkMode).toBe(processed.modes.dark);
+    expect(processed.primitives["surface-surface-background-high-contrast-mode"]).toBeUndefined();
+  });
+
+  test("should emit each additional mode as a selector block", () => {
+    const output = generateOutput(processVariables(variables, ""));
+
+    expect(output).toContain("@media (prefers-color-scheme: dark) {");
+    expect(output).toContain('  [data-theme="high-contrast"] {\n    --surface-background: #ffffff;\n');
+    expect(output).toContain('  [data-theme="brand-b"] {\n');
+  });
+
+  test("should honour the configured default mode and selector", () => {
+    const config = resolveConfig({ defaultMode: "brand-b", modeSelector: ".theme-{mode}" });
+    const output = generateOutput(processVariables(variables, "", config), config);
+
+    expect(output).toContain("    --text-primary-default: var(--color-gray-950);\n  }\n");
+    expect(output).not.toContain('[data-theme="brand-b"]');
+    expect(output).toContain("  .theme-light {\n");
+    expect(output).toContain("  .theme-high-contrast {\n");
+  });
+});
+
+describe("Theme strategies", () => {
+  const variables = {
+    "color-gray-50": "#f5f5f5",
+    "color-gray-950": "#292929",
+    "surface-surface-background-light-mode": "var(--color-gray-50)",
+    "surface-surface-background-dark-mode": "var(--color-gray-950)",
+    "outline-outline-focus-light-mode": "#1063ff",
+    "outline-outline-focus-dark-mode": "#1063ff",
+    "viewport-min-width": '"390"',
+    "viewport-max-width": '"1440"',
+  };
+
+  const render = (themeStrategy) => {
+    const config = resolveConfig({ themeStrategy });
+    return generateOutput(processVariables(variables, "", config), config);
+  };
+
+  test("should use the media query by default", () => {
+    expect(render("media")).toContain("  @media (prefers-color-scheme: dark) {\n    :root {\n");
+  });
+
+  test("should emit the dark mode as a selector block", () => {
+    const output = render("selector");
+
+    expect(output).toContain('  [data-theme="dark"] {\n    --surface-background: var(--color-gray-950);\n');
+    expect(output).not.toContain("prefers-color-scheme");
+  });
+
+  test("should emit the dark mode as a class", () => {
+    expect(render("class")).toContain("  .dark {\n    --surface-background: var(--color-gray-950);\n");
+  });
+
+  test("should combine the media query with an explicit theme selector", () => {
+    const output = render("auto");
+
+    expect(output).toContain('  @media (prefers-color-scheme: dark) {\n    :root:not([data-theme="light"]) {\n');
+    expect(output).toContain('  [data-theme="dark"] {\n');
+  });
+
+  test("should emit light-dark() values", () => {
+    const output = render("light-dark");
+
+    expect(output).toContain("    color-scheme: light dark;\n");
+    expect(output).toContain("--surface-background: light-dark(var(--color-gray-50), var(--color-gray-950));");
+    expect(output).toContain("--outline-focus: #1063ff;");
+    expect(output).not.toContain("prefers-color-scheme");
+  });
+
+  test("should reject unknown strategies", () => {
+    expect(() => resolveConfig({ themeStrategy: "toggle" })).toThrow(
+      '"themeStrategy" must be one of: media, selector, class, auto, light-dark',
+    );
+  });
+});
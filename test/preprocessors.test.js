@@ -0,0 +1,66 @@
+import fs from "fs";
+import path from "path";
+import { execSync } from "child_process";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { generateLess, generateSCSS, getMapKey, getMapName } from "../lib/preprocessors.js";
+import { parseVariables, processVariables } from "../index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe("SCSS and Less output", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const originalPath = path.join(fixturesDir, "original.css");
+  const outputPath = path.join(fixturesDir, "output.scss");
+  const originalCSS = fs.readFileSync(originalPath, "utf-8");
+  const processed = processVariables(parseVariables(originalCSS), originalCSS);
+  const scss = generateSCSS(processed);
+  const less = generateLess(processed);
+
+  afterEach(() => {
+    if (fs.existsSync(outputPath)) {
+      fs.unlinkSync(outputPath);
+    }
+  });
+
+  test("should derive map names and keys from the groups", () => {
+    expect(getMapName("color-primary")).toBe("colors-primary");
+    expect(getMapName("font-size")).toBe("font-size");
+    expect(getMapKey("color-primary-500", "color-primary")).toBe("500");
+    expect(getMapKey("surface-primary-hover", "surface")).toBe("primary-hover");
+  });
+
+  test("should write SCSS variables and maps", () => {
+    expect(scss).toContain("$color-primary-500: #253fe4;\n");
+    expect(scss).toContain("$colors-primary: (\n  50: $color-primary-50,\n");
+    expect(scss).toContain('  "0_5": $spacing-0_5,\n');
+    expect(scss).toContain("$surface-primary-hover: $color-primary-700;\n");
+    expect(scss).toMatch(/\$font-size-step-0: clamp\(/);
+    expect(scss).toMatch(/\$modes: \(\n {2}light: \(\n/);
+    expect(scss).toContain('    "surface-primary-hover": $color-primary-600,\n');
+  });
+
+  test("should write Less variables and maps", () => {
+    expect(less).toContain("@color-primary-500: #253fe4;\n");
+    expect(less).toContain("@colors-primary: {\n  50: @color-primary-50;\n");
+    expect(less).toContain("@surface-primary-hover: @color-primary-700;\n");
+    expect(less).toMatch(/@font-size-step-0: ~"clamp\([^"]+\)";/);
+    expect(less).toMatch(/@modes: \{\n {2}@light: \{\n/);
+    expect(less).toContain("    surface-primary-hover: @color-primary-600;\n");
+  });
+
+  test("should keep the CSS group order", () => {
+    const groupComments = (output) => output.match(/^\/\/ [\w-]+$/gm);
+    expect(groupComments(scss)).toEqual(groupComments(less));
+    expect(groupComments(scss).slice(0, 3)).toEqual(["// color-default", "// color-gray", "// color-primary"]);
+  });
+
+  test("should write SCSS with --format scss", () => {
+    execSync(`node ${path.join(__dirname, "..", "index.js")} ${originalPath} ${outputPath} --format scss`, {
+      encoding: "utf-8",
+    });
+
+    expect(fs.readFileSync(outputPath, "utf-8")).toBe(scss);
+  });
+});
@@ -0,0 +1,124 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execSync } from "child_process";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { ConfigError, transform } from "../index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe("Split output and layers", () => {
+  const css = `:root {
+  --color-gray-50: #f5f5f5;
+  --color-gray-950: #292929;
+  --spacing-1: 4px;
+  --surface-surface-background-light-mode: var(--color-gray-50);
+  --surface-surface-background-dark-mode: var(--color-gray-950);
+  --surface-surface-background-high-contrast-mode: #ffffff;
+  --text-text-primary-default-light-mode: var(--color-gray-950);
+  --text-text-primary-default-dark-mode: var(--color-gray-50);
+  --text-text-primary-default-high-contrast-mode: #000000;
+}
+`;
+
+  test("should write primitives and each mode to their own file", () => {
+    const { css: index, files } = transform(css, { split: true });
+
+    expect(index).toBe(`@import url("primitives.css");
+@import url("theme-light.css");
+@import url("theme-dark.css");
+@import url("theme-high-contrast.css");
+`);
+    expect(files).toEqual({
+      "primitives.css": `@layer globals {
+  :root {
+    --color-gray-50: #f5f5f5;
+    --color-gray-950: #292929;
+
+    --spacing-1: 4px;
+  }
+}
+`,
+      "theme-light.css": `@layer globals {
+  :root {
+    --surface-background: var(--color-gray-50);
+
+    --text-primary-default: var(--color-gray-950);
+  }
+}
+`,
+      "theme-dark.css": `@layer globals {
+  @media (prefers-color-scheme: dark) {
+    :root {
+      --surface-background: var(--color-gray-950);
+
+      --text-primary-default: var(--color-gray-50);
+
+    }
+  }
+}
+`,
+      "theme-high-contrast.css": `@layer globals {
+  [data-theme="high-contrast"] {
+    --surface-background: #ffffff;
+
+    --text-primary-default: #000000;
+  }
+}
+`,
+    });
+    expect(transform(css).files).toBeUndefined();
+  });
+
+  test("should use the configured layer names", () => {
+    const textStyles = { body: { size: "step-0" } };
+    const { css: output } = transform(css, { layer: "tokens", utilityLayer: "components", textStyles, textClasses: true });
+
+    expect(output).toMatch(/^@layer tokens \{\n {2}:root \{\n {4}--color-gray-50/);
+    expect(output).toContain("@layer components {\n  .text-body {\n");
+  });
+
+  test("should write plain rules without layers", () => {
+    const textStyles = { body: { size: "step-0" } };
+    const { css: output } = transform(css, { layer: null, utilityLayer: null, textStyles, textClasses: true });
+
+    expect(output).not.toContain("@layer");
+    expect(output).toMatch(/^:root \{\n {2}--color-gray-50: #f5f5f5;\n/);
+    expect(output).toContain(`
+[data-theme="high-contrast"] {
+  --surface-background: #ffffff;
+`);
+    expect(output).toContain(`
+.text-body {
+  font-size: var(--text-body-font-size);
+}
+`);
+
+    const { files } = transform(css, { split: true, layer: null });
+    expect(files["theme-high-contrast.css"]).toMatch(/^\[data-theme="high-contrast"\] \{\n {2}--surface/);
+  });
+
+  test("should only split the css format", () => {
+    expect(() => transform(css, { split: true, format: "dtcg" })).toThrow(ConfigError);
+    expect(() => transform(css, { split: true, format: "dtcg" })).toThrow('"split" only applies to the css format');
+    expect(() => transform(css, { layer: "" })).toThrow('"layer" must be a non-empty string');
+  });
+
+  test("should write the split files next to the output from the command line", () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "figma-variables-split-"));
+
+    try {
+      fs.writeFileSync(path.join(tmpDir, "input.css"), css);
+      const cli = `node ${path.join(__dirname, "..", "index.js")}`;
+      const output = execSync(`${cli} input.css index.css --split --no-layer`, { cwd: tmpDir, encoding: "utf-8" });
+
+      expect(output).toContain("Files:  primitives.css, theme-light.css, theme-dark.css, theme-high-contrast.css");
+      expect(fs.readFileSync(path.join(tmpDir, "index.css"), "utf-8")).toContain('@import url("theme-dark.css");');
+      expect(fs.readFileSync(path.join(tmpDir, "theme-light.css"), "utf-8")).toMatch(/^:root \{\n/);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
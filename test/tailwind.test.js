@@ -0,0 +1,79 @@
+import fs from "fs";
+import path from "path";
+import { execSync } from "child_process";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { generateTailwindTheme, mapToTailwind } from "../lib/tailwind.js";
+import { parseVariables, processVariables } from "../index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe("Tailwind output", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const originalPath = path.join(fixturesDir, "original.css");
+  const cssOutputPath = path.join(fixturesDir, "output.tailwind.css");
+  const presetOutputPath = path.join(fixturesDir, "output.tailwind.js");
+  const originalCSS = fs.readFileSync(originalPath, "utf-8");
+  const output = generateTailwindTheme(processVariables(parseVariables(originalCSS), originalCSS));
+
+  afterEach(() => {
+    for (const outputPath of [cssOutputPath, presetOutputPath]) {
+      if (fs.existsSync(outputPath)) {
+        fs.unlinkSync(outputPath);
+      }
+    }
+  });
+
+  test("should map groups onto Tailwind theme keys", () => {
+    expect(mapToTailwind("color-primary-500", "color-primary")).toEqual({
+      v4: "--color-primary-500",
+      v3: ["colors", "primary", "500"],
+    });
+    expect(mapToTailwind("surface-primary-hover", "surface")).toEqual({
+      v4: "--color-surface-primary-hover",
+      v3: ["colors", "surface", "primary-hover"],
+    });
+    expect(mapToTailwind("spacing-0_5", "spacing")).toEqual({ v4: "--spacing-0.5", v3: ["spacing", "0.5"] });
+    expect(mapToTailwind("radii-sm", "radii")).toEqual({ v4: "--radius-sm", v3: ["borderRadius", "sm"] });
+    expect(mapToTailwind("border-xs", "border")).toEqual({ v4: null, v3: ["borderWidth", "xs"] });
+    expect(mapToTailwind("font-size-step-0", "font-size")).toEqual({
+      v4: "--text-step-0",
+      v3: ["fontSize", "step-0"],
+    });
+  });
+
+  test("should write a v4 @theme block", () => {
+    expect(output).toMatch(/^\/\* Generated by/);
+    expect(output).toContain("@theme inline {");
+    expect(output).toContain("  --color-primary-500: #253fe4;\n");
+    expect(output).toContain("  --color-surface-background: var(--surface-background);\n");
+    expect(output).toContain("  --radius-sm: var(--radii-sm);\n");
+    expect(output).toContain("  --spacing-0\\.5: var(--spacing-0_5);\n");
+    expect(output).toContain("  --font-body: var(--font-family-body);\n");
+    expect(output).toContain("  --text-step-0: var(--font-size-step-0);\n");
+    expect(output).not.toContain("--border-xs");
+  });
+
+  test("should write the theme with --format tailwind", () => {
+    execSync(`node ${path.join(__dirname, "..", "index.js")} ${originalPath} ${cssOutputPath} --format tailwind`, {
+      encoding: "utf-8",
+    });
+
+    expect(fs.readFileSync(cssOutputPath, "utf-8")).toBe(output);
+  });
+
+  test("should write a v3 preset with --format tailwind-preset", async () => {
+    execSync(
+      `node ${path.join(__dirname, "..", "index.js")} ${originalPath} ${presetOutputPath} --format tailwind-preset`,
+      { encoding: "utf-8" },
+    );
+
+    const { default: preset } = await import(`${presetOutputPath}?t=${Date.now()}`);
+    expect(preset.theme.extend.colors.primary["500"]).toBe("var(--color-primary-500)");
+    expect(preset.theme.extend.colors.surface.background).toBe("var(--surface-background)");
+    expect(preset.theme.extend.spacing["0.5"]).toBe("var(--spacing-0_5)");
+    expect(preset.theme.extend.borderWidth.xs).toBe("var(--border-xs)");
+    expect(preset.theme.extend.fontSize["step-0"]).toBe("var(--font-size-step-0)");
+  });
+});
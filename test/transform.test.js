@@ -138,4 +138,15 @@ describe("CSS Transformation", () => {
     expect(borderIndex).toBeGreaterThan(colorPrimaryIndex);
     expect(spacingIndex).toBeGreaterThan(borderIndex);
   });
+
+  test("should apply the theme strategy passed with --theme", () => {
+    execSync(`node ${path.join(__dirname, "..", "index.js")} ${originalPath} ${outputPath} --theme selector`, {
+      encoding: "utf-8",
+    });
+
+    const output = fs.readFileSync(outputPath, "utf-8");
+
+    expect(output).toContain('[data-theme="dark"] {');
+    expect(output).not.toContain("@media (prefers-color-scheme: dark)");
+  });
 });
@@ -0,0 +1,77 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execSync } from "child_process";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { collectTokenGroups, generateTypes } from "../lib/typescript.js";
+import { parseVariables, processVariables } from "../index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe("TypeScript declarations", () => {
+  const originalPath = path.join(__dirname, "fixtures", "original.css");
+  const originalCSS = fs.readFileSync(originalPath, "utf-8");
+  const processed = processVariables(parseVariables(originalCSS), originalCSS);
+
+  test("should collect one union per group", () => {
+    const groups = collectTokenGroups(processed);
+
+    expect([...groups.keys()]).toEqual([
+      "ColorToken",
+      "ContainerToken",
+      "HeaderToken",
+      "FontFamilyToken",
+      "FontWeightToken",
+      "BorderToken",
+      "RadiiToken",
+      "SpacingToken",
+      "SizeToken",
+      "FontSizeToken",
+      "SurfaceToken",
+      "TextToken",
+      "IconToken",
+      "OutlineToken",
+    ]);
+    expect(groups.get("ColorToken")).toContain("color-primary-500");
+    expect(groups.get("SurfaceToken")).toContain("surface-primary-hover");
+  });
+
+  test("should declare every custom property", () => {
+    const { dts } = generateTypes(processed);
+
+    expect(dts).toContain('export type TokenName =\n  | "--color-default-50"\n');
+    expect(dts).toContain('  | "--outline-info";\n');
+    expect(dts).toContain("export type FontSizeStep =\n  | -2\n  | -1\n  | 0\n");
+    expect(dts).toContain("export declare function cssVar<K extends TokenName>(name: K): `var(${K})`;");
+  });
+
+  test("should generate the runtime module", async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "figma-variables-"));
+    const modulePath = path.join(tmpDir, "tokens.js");
+    fs.writeFileSync(modulePath, generateTypes(processed).js);
+
+    const { tokens, cssVar } = await import(modulePath);
+
+    expect(tokens["--spacing-4"]).toBe("var(--spacing-4)");
+    expect(cssVar("--text-inverted")).toBe("var(--text-inverted)");
+    expect(Object.isFrozen(tokens)).toBe(true);
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test("should write types next to the output with --types", () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "figma-variables-"));
+
+    execSync(
+      `node ${path.join(__dirname, "..", "index.js")} ${originalPath} ${path.join(tmpDir, "tokens.css")} --types ${path.join(tmpDir, "tokens.d.ts")}`,
+      { encoding: "utf-8" },
+    );
+
+    expect(fs.existsSync(path.join(tmpDir, "tokens.d.ts"))).toBe(true);
+    expect(fs.existsSync(path.join(tmpDir, "tokens.js"))).toBe(true);
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+});
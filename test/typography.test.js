@@ -0,0 +1,109 @@
+import { resolveConfig } from "../lib/config.js";
+import { mapTextStyle } from "../lib/tailwind.js";
+import { toFontWeight } from "../lib/typography.js";
+import { transform } from "../index.js";
+
+describe("Typography", () => {
+  const css = `:root {
+  --font-family-heading: "Open Sans";
+  --font-weight-regular: "Regular";
+  --font-weight-bold: "Bold";
+  --font-weight-bold-italic: "Bold italic";
+  --font-size-step-5: 2rem;
+  --line-height-tight: 1.2;
+  --letter-spacing-wide: 0.05em;
+}
+`;
+  const textStyles = {
+    "heading-1": { family: "heading", size: "step-5", weight: "bold", lineHeight: "tight", letterSpacing: "wide" },
+    quote: { weight: "bold-italic" },
+  };
+
+  test("should convert font weight names to numbers", () => {
+    expect(toFontWeight('"Regular"')).toBe(400);
+    expect(toFontWeight('"SemiBold"')).toBe(600);
+    expect(toFontWeight('"Extrabold italic"')).toBe(800);
+    expect(toFontWeight('"Italic"')).toBe(400);
+    expect(toFontWeight("650")).toBe(650);
+    expect(toFontWeight('"Wobbly"')).toBeNull();
+  });
+
+  test("should keep font weights and line heights", () => {
+    const { tokens, warnings } = transform(css);
+
+    expect(tokens.primitives).toMatchObject({
+      "font-weight-regular": "400",
+      "font-weight-bold": "700",
+      "font-weight-bold-italic": "700",
+      "line-height-tight": "1.2",
+      "letter-spacing-wide": "0.05em",
+    });
+    expect(warnings).toEqual([]);
+  });
+
+  test("should warn about unknown font weights", () => {
+    const { tokens, warnings } = transform(':root {\n  --font-weight-odd: "Wobbly";\n}\n');
+
+    expect(tokens.primitives["font-weight-odd"]).toBe('"Wobbly"');
+    expect(warnings).toMatchObject([{ code: "UNKNOWN_FONT_WEIGHT", variable: "font-weight-odd" }]);
+  });
+
+  test("should build composite tokens for text styles", () => {
+    const { tokens, warnings } = transform(css, { textStyles });
+
+    expect(tokens.primitives).toMatchObject({
+      "text-heading-1-font-family": "var(--font-family-heading)",
+      "text-heading-1-font-size": "var(--font-size-step-5)",
+      "text-heading-1-font-weight": "var(--font-weight-bold)",
+      "text-heading-1-line-height": "var(--line-height-tight)",
+      "text-heading-1-letter-spacing": "var(--letter-spacing-wide)",
+      "text-quote-font-weight": "var(--font-weight-bold-italic)",
+      "text-quote-font-style": "italic",
+    });
+    expect(tokens.primitives["text-heading-1-font-style"]).toBeUndefined();
+    expect(warnings).toEqual([]);
+  });
+
+  test("should report text styles referencing missing tokens", () => {
+    const { warnings } = transform(css, { textStyles: { caption: { size: "step--3" } } });
+
+    expect(warnings).toMatchObject([{ code: "DANGLING_REFERENCE", variable: "text-caption-font-size" }]);
+  });
+
+  test("should write utility classes when enabled", () => {
+    expect(transform(css, { textStyles }).css).not.toContain("@layer utilities");
+
+    const { css: output } = transform(css, { textStyles, textClasses: true });
+
+    expect(output).toContain(`@layer utilities {
+  .text-heading-1 {
+    font-family: var(--text-heading-1-font-family);
+    font-size: var(--text-heading-1-font-size);
+    font-weight: var(--text-heading-1-font-weight);
+    line-height: var(--text-heading-1-line-height);
+    letter-spacing: var(--text-heading-1-letter-spacing);
+  }
+
+  .text-quote {
+    font-weight: var(--text-quote-font-weight);
+    font-style: var(--text-quote-font-style);
+  }
+}
+`);
+  });
+
+  test("should map text styles onto the Tailwind font size theme", () => {
+    expect(mapTextStyle("text-heading-1-font-size")).toEqual({ v4: "--text-heading-1", v3: ["fontSize", "heading-1"] });
+    expect(mapTextStyle("text-heading-1-line-height")).toEqual({ v4: "--text-heading-1--line-height", v3: null });
+    expect(mapTextStyle("text-heading-1-font-family")).toBeNull();
+  });
+
+  test("should reject invalid text styles", () => {
+    expect(() => resolveConfig({ textStyles: { body: { colour: "red" } } })).toThrow(
+      'unknown property "colour" in "textStyles.body"',
+    );
+    expect(() => resolveConfig({ textStyles: { body: { size: 5 } } })).toThrow(
+      '"textStyles.body.size" must be a non-empty string',
+    );
+  });
+});
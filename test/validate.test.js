@@ -0,0 +1,82 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execSync } from "child_process";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { findCycle, getReferences, validateReferences } from "../lib/validate.js";
+import { ValidationError, parseVariables, processVariables, transform } from "../index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe("Reference validation", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  let tmpDir;
+  const brokenCSS = `:root {
+  --color-gray-50: #ffffff;
+  --color-gray-100: var(--color-gray-900);
+  --color-gray-200: var(--color-gray-300, #eeeeee);
+  --surface-surface-background-light-mode: var(--color-gray-5);
+  --surface-surface-background-dark-mode: var(--color-gray-50);
+  --text-text-primary-light-mode: var(--text-primary-inverted);
+  --text-text-primary-inverted-light-mode: var(--text-primary);
+}
+`;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "figma-variables-validate-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test("should find references and cycles", () => {
+    expect(getReferences("var(--a) var(--b, #fff)")).toEqual([
+      ["a", false],
+      ["b", true],
+    ]);
+    expect(findCycle("a", { a: "var(--b)", b: "var(--a)" })).toEqual(["a", "b", "a"]);
+    expect(findCycle("a", { a: "var(--b)", b: "#fff" })).toBe(null);
+  });
+
+  test("should accept the fixture", () => {
+    const originalCSS = fs.readFileSync(path.join(fixturesDir, "original.css"), "utf-8");
+    expect(validateReferences(processVariables(parseVariables(originalCSS), originalCSS))).toEqual([]);
+  });
+
+  test("should report dangling references, cycles and incomplete modes", () => {
+    const diagnostics = validateReferences(processVariables(parseVariables(brokenCSS), brokenCSS));
+
+    expect(diagnostics.map(({ code, message }) => [code, message])).toEqual([
+      ["DANGLING_REFERENCE", "--color-gray-100 references --color-gray-900, which is not defined"],
+      ["DANGLING_REFERENCE", "--surface-background (light) references --color-gray-5, which is not defined"],
+      ["CIRCULAR_REFERENCE", "Circular reference (light): --text-primary -> --text-primary-inverted -> --text-primary"],
+      ["INCOMPLETE_MODES", "--text-primary is not defined in mode dark"],
+      ["INCOMPLETE_MODES", "--text-primary-inverted is not defined in mode dark"],
+    ]);
+  });
+
+  test("should return diagnostics as warnings, or throw in strict mode", () => {
+    expect(transform(brokenCSS).warnings).toHaveLength(5);
+
+    expect(() => transform(brokenCSS, { strict: true })).toThrow(ValidationError);
+    try {
+      transform(brokenCSS, { strict: true });
+    } catch (error) {
+      expect(error.code).toBe("ERR_VALIDATION");
+      expect(error.warnings).toHaveLength(5);
+    }
+  });
+
+  test("should fail the run with --strict", () => {
+    const brokenPath = path.join(tmpDir, "broken.css");
+    const outputPath = path.join(tmpDir, "output.css");
+    fs.writeFileSync(brokenPath, brokenCSS);
+    const cli = `node ${path.join(__dirname, "..", "index.js")} ${brokenPath} ${outputPath}`;
+
+    expect(execSync(`${cli} 2>&1`, { encoding: "utf-8" })).toContain("--color-gray-900, which is not defined");
+    expect(() => execSync(`${cli} --strict`, { encoding: "utf-8", stdio: "pipe" })).toThrow("Strict mode: 5 problem(s)");
+  });
+});
@@ -0,0 +1,120 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { watchFiles } from "../lib/watch.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Resolve once the output contains the text, or fail after the timeout
+const waitFor = async (getOutput, text, timeout = 5000) => {
+  for (let elapsed = 0; elapsed < timeout; elapsed += 50) {
+    if (getOutput().includes(text)) return;
+    await wait(50);
+  }
+  throw new Error(`Timed out waiting for "${text}" in:\n${getOutput()}`);
+};
+
+describe("Watch mode", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "figma-variables-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test("should batch changes within the debounce interval", async () => {
+    const inputPath = path.join(tmpDir, "input.css");
+    const otherPath = path.join(tmpDir, "other.css");
+    fs.writeFileSync(inputPath, ":root {}\n");
+
+    const batches = [];
+    const watcher = watchFiles([inputPath], (changed) => batches.push(changed), { debounce: 100 });
+
+    try {
+      await wait(50);
+      fs.writeFileSync(otherPath, ":root {}\n");
+      fs.writeFileSync(inputPath, ":root { --a: 1px; }\n");
+      fs.writeFileSync(inputPath, ":root { --a: 2px; }\n");
+      await waitFor(() => String(batches.length), "1");
+      await wait(200);
+    } finally {
+      watcher.close();
+    }
+
+    expect(batches).toEqual([[inputPath]]);
+  });
+
+  test("should keep handling batches after a failing one", async () => {
+    const inputPath = path.join(tmpDir, "input.css");
+    fs.writeFileSync(inputPath, ":root {}\n");
+
+    const batches = [];
+    const errors = vi.spyOn(console, "error").mockImplementation(() => {});
+    const watcher = watchFiles(
+      [inputPath],
+      async (changed) => {
+        batches.push(changed);
+        if (batches.length === 1) throw new Error("Broken batch");
+      },
+      { debounce: 50 },
+    );
+
+    try {
+      await wait(50);
+      fs.writeFileSync(inputPath, ":root { --a: 1px; }\n");
+      await waitFor(() => String(batches.length), "1");
+      await wait(150);
+      fs.writeFileSync(inputPath, ":root { --a: 2px; }\n");
+      await waitFor(() => String(batches.length), "2");
+      expect(errors).toHaveBeenCalledWith("   Broken batch");
+    } finally {
+      watcher.close();
+      errors.mockRestore();
+    }
+  });
+
+  test("should re-run on changes and keep running after errors", async () => {
+    const inputPath = path.join(tmpDir, "input.json");
+    const outputPath = path.join(tmpDir, "output.css");
+    fs.writeFileSync(inputPath, "{}");
+
+    const child = spawn(process.execPath, [path.join(__dirname, "..", "index.js"), inputPath, outputPath, "--watch"], {
+      cwd: tmpDir,
+    });
+    let output = "";
+    child.stdout.on("data", (data) => (output += data));
+    child.stderr.on("data", (data) => (output += data));
+
+    try {
+      await waitFor(() => output, "Observando");
+      expect(output).toContain("Invalid Figma variables JSON");
+
+      fs.copyFileSync(path.join(__dirname, "fixtures", "figma-variables.json"), inputPath);
+      await waitFor(() => output, "Output:");
+      expect(fs.readFileSync(outputPath, "utf-8")).toBe(
+        fs.readFileSync(path.join(__dirname, "fixtures", "expected.css"), "utf-8"),
+      );
+
+      const data = JSON.parse(fs.readFileSync(inputPath, "utf-8"));
+      const [id] = Object.keys(data.meta.variables);
+      data.meta.variables[id].name = "color/brand/500";
+      fs.writeFileSync(inputPath, JSON.stringify(data));
+
+      await waitFor(() => output, "Tokens:");
+      expect(output).toContain("0 añadidos, 0 eliminados, 1 renombrados, 0 modificados");
+      expect(output).toContain("> --color-primary-50 → --color-brand-500");
+      expect(child.exitCode).toBe(null);
+    } finally {
+      child.kill();
+    }
+  });
+});